@@ -1,574 +1,3412 @@
 import Form from './ModelleForm.mjs';
+import EventBus from './ModelleEventBus.mjs';
+import Template from './ModelleTemplate.mjs';
+import Patch from './ModellePatch.mjs';
+import Outbox from './ModelleOutbox.mjs';
 
 class FetchError extends Error {}
 
+class TimeoutError extends Error {}
+
+/**
+ * Error for non-OK HTTP responses. Modelle.fetch() throws the subclass that
+ * matches the status code, if any, with the parsed response body (JSON or
+ * text) in the body property. The response itself is left unread. For
+ * problem details (RFC 7807) responses, the body is also available as
+ * problem.
+ */
 class HttpError extends Error
 {
-    constructor(response)
+    constructor(response, options)
     {
-        super();
+        options = Object.assign({body: null, problem: null, method: 'GET'}, options);
+        let message = `${response.status} ${response.statusText} (${options.method} ${response.url})`;
+        if (options.problem && options.problem.title)
+        {
+            message += `: ${options.problem.title}`;
+        }
+        super(message);
         this.response = response;
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.url = response.url;
+        this.method = options.method;
+        this.body = options.body;
+        this.problem = options.problem;
+    }
+
+    isClientError()
+    {
+        return this.status >= 400 && this.status < 500;
+    }
+
+    isServerError()
+    {
+        return this.status >= 500 && this.status < 600;
+    }
+
+    isUnauthorized()
+    {
+        return this.status === 401;
+    }
+
+    isForbidden()
+    {
+        return this.status === 403;
+    }
+
+    isNotFound()
+    {
+        return this.status === 404;
+    }
+
+    isConflict()
+    {
+        return this.status === 409;
+    }
+}
+
+class UnauthorizedError extends HttpError {}
+
+class ForbiddenError extends HttpError {}
+
+class NotFoundError extends HttpError {}
+
+class ConflictError extends HttpError {}
+
+const httpErrorClasses =
+{
+    401: UnauthorizedError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError
+};
+
+
+/**
+ * Create the HttpError for a non-OK response, with the parsed body of a
+ * clone of the response.
+ */
+async function createHttpError(response, method)
+{
+    const contentType = response.headers.get('Content-Type');
+    let body = null;
+    try
+    {
+        let text = await response.clone().text();
+        body = text;
+        if (isJsonContentType(contentType))
+        {
+            body = JSON.parse(text);
+        }
+    }
+    catch(e)
+    {
+        // Keep the text (or null) if the body can't be read or parsed
     }
+    let problem = null;
+    if (getMediaType(contentType) === 'application/problem+json' && body && typeof body === 'object')
+    {
+        problem = body;
+    }
+    const ErrorClass = httpErrorClasses[response.status] || HttpError;
+    return new ErrorClass(response, {body, problem, method: method.toUpperCase()});
 }
 
 
 /**
  * Wrapper over fetch() that throws exceptions on errors and parses JSON
  * responses.
+ *
+ * Options, in addition to those of fetch():
+ * 1. acceptableStatusCodes (optional): non-OK status codes that don't throw an HttpError. Their responses are parsed like OK ones.
+ * 2. parseResponse (optional, default = true): whether to parse the response body.
+ * 3. timeout (optional): time in milliseconds after which an attempt is aborted with a TimeoutError.
+ * 4. view (optional): view element whose lifetime the request is tied to: the request is aborted when the view is cleaned up.
+ * 5. retry (optional): true or retry options (see getRetryDelay()) to retry failed requests.
+ * 6. json (optional): request body to be serialized as JSON. The Content-Type and Accept headers are set to application/json unless given.
+ *    The method defaults to POST.
+ * 7. binaryResponseType (optional, default = 'blob'): 'blob' or 'arrayBuffer', the type to which binary responses are parsed.
+ * 8. envelope (optional, default = false): whether to return {status, ok, data, headers} instead of only the (parsed) body,
+ *    e.g. to tell an acceptable 404 from an OK response.
+ * 9. outbox (optional, default = true): whether to store the request in the outbox (see enableOutbox()) if it fails
+ *    with a FetchError.
+ * 10. onUploadProgress (optional): function called with the progress of the upload (see createProgress()). The request
+ *     is made with XMLHttpRequest, as fetch() doesn't report upload progress.
+ * 11. onDownloadProgress (optional): function called with the progress of the download (see createProgress()).
  */
 async function fetch2(url, options)
 {
     options = Object.assign(
     {
         acceptableStatusCodes: [],
-        parseResponse: true
+        parseResponse: true,
+        envelope: false
     }, options);
 
-    if (options.acceptableStatusCodes.length > 0)
+    if (options.json !== undefined)
+    {
+        let headers = new Headers(options.headers);
+        if (!headers.has('Content-Type'))
+        {
+            headers.set('Content-Type', 'application/json');
+        }
+        if (!headers.has('Accept'))
+        {
+            headers.set('Accept', 'application/json');
+        }
+        options.headers = headers;
+        options.body = JSON.stringify(options.json);
+        if (!options.method)
+        {
+            options.method = 'POST';
+        }
+    }
+
+    const method = (options.method || 'GET').toUpperCase();
+    if (!outbox || options.outbox === false || method === 'GET' || method === 'HEAD')
     {
-        options.parseResponse = false;
+        return fetchWithRetry(url, options);
     }
 
-    let response;
     try
     {
-        response = await fetch(url, options);
+        return await fetchWithRetry(url, options);
     }
     catch(e)
     {
-        // Handle fetch() network error exception (not 4xx or 5xx response)
-        if (e instanceof TypeError && e.message === 'Failed to fetch')
+        if (e instanceof FetchError)
         {
-            throw new FetchError();
+            try
+            {
+                e.outboxEntry = await outbox.add(url, options);
+            }
+            catch(storageError)
+            {
+                // The request can't be stored either: throw the FetchError
+                // without an outbox entry
+            }
         }
-
-        // Not fetch() error. Throw the exception again.
         throw e;
     }
+}
 
-    if (response.ok || options.acceptableStatusCodes.includes(response.status))
+
+async function fetchWithRetry(url, options)
+{
+    if (!options.retry)
+    {
+        return fetchAttempt(url, options);
+    }
+
+    const retry = Object.assign(
+    {
+        attempts: 3,
+        backoff: 300,
+        jitter: true,
+        retryOn: [502, 503, 504],
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+    }, options.retry === true ? {} : options.retry);
+
+    for (let attempt = 1; ; attempt++)
     {
-        if (!options.parseResponse)
+        try
         {
-            return response;
+            return await fetchAttempt(url, options);
         }
-        const contentType = response.headers.get('Content-Type');
-        if (!contentType)
+        catch(e)
         {
-            return response;
+            let delay = getRetryDelay(retry, e, attempt, options.method || 'GET');
+            if (delay === null)
+            {
+                throw e;
+            }
+            if (retry.onRetry)
+            {
+                await retry.onRetry({attempt, delay, error: e});
+            }
+            let requestSignal = createRequestSignal({signal: options.signal, view: options.view});
+            try
+            {
+                await wait(delay, requestSignal.signal);
+            }
+            finally
+            {
+                requestSignal.clear();
+            }
         }
-        let parsedResponse;
-        if (contentType.indexOf('application/json') === 0)
+    }
+}
+
+
+/**
+ * Get the delay in milliseconds before retrying a failed attempt, or null
+ * if it is not to be retried. Retry options:
+ * 1. attempts (default = 3): maximum number of attempts, including the first.
+ * 2. backoff (default = 300): delay before the first retry, doubled for each further retry.
+ * 3. jitter (default = true): whether to randomize each delay between 50% and 100% of its value.
+ * 4. retryOn (default = [502, 503, 504]): HTTP status codes to retry. FetchErrors and TimeoutErrors are always retried.
+ * 5. methods (default = idempotent methods): request methods to retry.
+ * 6. onRetry (optional): function called as onRetry({attempt, delay, error}) before waiting for a retry.
+ *
+ * A Retry-After header of a response takes precedence over the backoff.
+ */
+function getRetryDelay(retry, error, attempt, method)
+{
+    if (attempt >= retry.attempts || !retry.methods.includes(method.toUpperCase()))
+    {
+        return null;
+    }
+
+    if (error instanceof HttpError)
+    {
+        if (!retry.retryOn.includes(error.response.status))
         {
-            parsedResponse = await response.json();
+            return null;
         }
-        else
+        let retryAfter = parseRetryAfter(error.response.headers.get('Retry-After'));
+        if (retryAfter !== null)
         {
-            parsedResponse = await response.text();
+            return retryAfter;
         }
-        return parsedResponse;
-    }    
+    }
+    else if (!(error instanceof FetchError || error instanceof TimeoutError))
+    {
+        return null;
+    }
 
-    throw new HttpError(response);
+    let delay = retry.backoff * (2 ** (attempt - 1));
+    if (retry.jitter)
+    {
+        delay *= 0.5 + (Math.random() / 2);
+    }
+    return delay;
 }
 
 
 /**
- * Wait till the given element is on the DOM.
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
  */
-async function idleUntilOnDOM(element)
+function parseRetryAfter(value)
 {
-    if (document.body.contains(element))
+    if (!value)
     {
-        return;
+        return null;
+    }
+    if (/^\d+$/.test(value.trim()))
+    {
+        return Number(value) * 1000;
     }
+    let date = Date.parse(value);
+    if (isNaN(date))
+    {
+        return null;
+    }
+    return Math.max(0, date - Date.now());
+}
 
-    return new Promise(resolve =>
+
+/**
+ * Wait for a number of milliseconds, or until the signal is aborted.
+ */
+function wait(ms, signal)
+{
+    return new Promise((resolve, reject) =>
     {
-        // Create mutation observer on body element
-        let observer = new MutationObserver(function(mutations)
+        if (signal && signal.aborted)
         {
-            mutations.forEach(function(mutation)
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () =>
+        {
+            clearTimeout(timeout);
+            reject(signal.reason);
+        };
+        let timeout = setTimeout(() =>
+        {
+            if (signal)
             {
-                // For each added node
-                for (let node of mutation.addedNodes)
-                {
-                    // Check if the node is the element we are 
-                    // waiting for
-                    if (node === element)
-                    {
-                        resolve();
-                        observer.disconnect();
-                        return;
-                    }
-
-                    // Check if any of the node's descendants
-                    // is the element we are waiting for. This
-                    // has to be done manually because only direct
-                    // node additions are considered mutations. Even
-                    // if the added node is not the element itself, it
-                    // might have a descendant that is the element but
-                    // for which the mutation will never occur.
-                    if (node.querySelectorAll)
-                    {
-                        let descendantEls = node.querySelectorAll('*');
-                        for (let descendantEl of descendantEls)
-                        {
-                            if (descendantEl === element)
-                            {
-                                resolve();
-                                observer.disconnect();
-                                return;
-                            }
-                        }
-                    }
-                }
-            });
-        });
-
-        observer.observe(document.body,
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal)
         {
-            childList: true,
-            subtree: true
-        });
+            signal.addEventListener('abort', onAbort, {once: true});
+        }
     });
 }
 
 
-let viewElementRemovedObserver = new MutationObserver(async mutations =>
+async function fetchAttempt(url, options)
 {
-    for (let mutation of mutations)
+    let requestSignal = createRequestSignal(options);
+    let fetchOptions = Object.assign({}, options, {signal: requestSignal.signal});
+    delete fetchOptions.view;
+    delete fetchOptions.retry;
+    delete fetchOptions.json;
+    delete fetchOptions.outbox;
+    try
     {
-        for (let node of mutation.removedNodes)
+        return await fetchAndParse(url, fetchOptions);
+    }
+    catch(e)
+    {
+        if (requestSignal.timedOut())
         {
-            if (node.querySelectorAll)
-            {
-                // Callback on descendant views: this has to be done
-                // manually because only direct node removals are
-                // considered mutations. And even if the removed node is not a
-                // view itself, it might have descendants that are views for
-                // which the mutation will never occur.
-                let promises = [];
-                let descendantEls = node.querySelectorAll('*');
-                /* eslint-disable max-depth */
-                for (let descendantEl of descendantEls)
-                {
-                    if (descendantEl.props && descendantEl.props.onRemovedFromDOM)
-                    {
-                        promises.push(descendantEl.props.onRemovedFromDOM(descendantEl));
-                    }
-                }
-                /* eslint-enable max-depth */
-                await Promise.all(promises);
-            }
-
-            // If the removed node is a view itself, call removed callback
-            if (node.props && node.props.onRemovedFromDOM)
-            {
-                await node.props.onRemovedFromDOM(node);
-            }
+            throw new TimeoutError();
         }
+        throw e;
     }
-});
+    finally
+    {
+        requestSignal.clear();
+    }
+}
 
-viewElementRemovedObserver.observe(document.body,
+
+/**
+ * Combine the signal, view and timeout options of a request into a single
+ * abort signal.
+ */
+function createRequestSignal(options)
 {
-    childList: true,
-    subtree: true
-});
+    let signals = [];
+    if (options.signal)
+    {
+        signals.push(options.signal);
+    }
+    if (options.view)
+    {
+        // A view that was already cleaned up has no signal: abort right away
+        signals.push(options.view.props ?
+            options.view.props.abortSignal : abortedSignal());
+    }
+    if (!options.timeout && signals.length <= 1)
+    {
+        return {
+            signal: signals[0],
+            timedOut: () => false,
+            clear: () => {}
+        };
+    }
 
+    // The listeners are removed by clear(), as the signal of a view lives
+    // much longer than a request
+    let controller = new AbortController();
+    let removeListeners = [];
+    for (let signal of signals)
+    {
+        if (signal.aborted)
+        {
+            controller.abort(signal.reason);
+            break;
+        }
+        const onAbort = () => controller.abort(signal.reason);
+        signal.addEventListener('abort', onAbort, {once: true});
+        removeListeners.push(() => signal.removeEventListener('abort', onAbort));
+    }
 
-// https://stackoverflow.com/a/35385518
-function htmlToElement(html)
-{
-    let template = document.createElement('template');
+    let timedOut = false;
+    let timeout;
+    if (options.timeout)
+    {
+        timeout = setTimeout(() =>
+        {
+            timedOut = true;
+            controller.abort(new TimeoutError());
+        }, options.timeout);
+    }
 
-    // Never return a text node of whitespace as the result
-    html = html.trim();
-    template.innerHTML = html;
-    return template.content.firstChild;
+    return {
+        signal: controller.signal,
+        timedOut: () => timedOut,
+        clear: () =>
+        {
+            clearTimeout(timeout);
+            for (let removeListener of removeListeners)
+            {
+                removeListener();
+            }
+        }
+    };
 }
 
 
-// https://stackoverflow.com/a/35385518
-function htmlToElements(html)
+function abortedSignal()
 {
-    let template = document.createElement('template');
-    template.innerHTML = html;
-    return template.content.childNodes;
+    let controller = new AbortController();
+    controller.abort();
+    return controller.signal;
 }
 
 
-/**
- * Append a CSS transition to an element instead of overwriting the
- * current value. This is useful if multiple CSS transitions are needed
- * simultaneously but you can't manage them from the same place 
- * (for example, if you are implementing a custom slide animation and 
- * also need to use fadeIn()).
- */
-function appendCssTransition(el, transition, prefixedValues)
+async function fetchAndParse(url, options)
 {
-    for (let prefix of ['', '-webkit-', '-moz-', '-o-', '-ms-'])
+    let response;
+    try
     {
-        let value = prefixedValues ? prefix + transition : transition;
-        let existingValue = el.style.transition;
-        if (!existingValue || existingValue === 'all 0s ease 0s')
+        if (options.onUploadProgress)
         {
-            el.style.transition = value;
+            response = await xhrFetch(url, options);
         }
-        else if (existingValue.indexOf(value) === -1)
+        else
         {
-            value = `${existingValue}, ${value}`;
-            el.style.transition = value;
+            response = await fetch(url, options);
+            if (options.onDownloadProgress)
+            {
+                response = trackDownloadProgress(response, options.onDownloadProgress);
+            }
         }
     }
-}
-
-
-async function fadeIn(el, durationInMs)
-{
-    if (!durationInMs)
+    catch(e)
     {
-        durationInMs = 300;
-    }
-    await new Promise(resolve =>
-    {
-        const cssDuration = `${durationInMs / 1000}s`;
-        appendCssTransition(el, `opacity ${cssDuration} ease 0s`);
-        el.style.opacity = 1;
-
-        // Resolve after durationInMs (sometimes transitionend events don't 
-        // fire so we just use a timeout)
-        setTimeout(resolve, durationInMs);
-    });
-}
-
+        // Handle fetch() network error exception (not 4xx or 5xx response)
+        if (e instanceof TypeError && e.message === 'Failed to fetch')
+        {
+            throw new FetchError(e.message, {cause: e});
+        }
 
-async function fadeOut(el, durationInMs)
-{
-    if (!durationInMs)
-    {
-        durationInMs = 300;
+        // Not fetch() error. Throw the exception again.
+        throw e;
     }
-    await new Promise(resolve =>
+
+    if (response.ok || options.acceptableStatusCodes.includes(response.status))
     {
-        const cssDuration = `${durationInMs / 1000}s`;
-        appendCssTransition(el, `opacity ${cssDuration} ease 0s`);
-        el.style.opacity = 0;
+        let data = options.parseResponse ? await parseResponse(response, options) : response;
+        if (!options.envelope)
+        {
+            return data;
+        }
+        return {
+            status: response.status,
+            ok: response.ok,
+            data,
+            headers: response.headers
+        };
+    }    
 
-        // Resolve after durationInMs (sometimes transitionend events don't 
-        // fire so we just use a timeout)
-        setTimeout(resolve, durationInMs);
-    });
+    throw await createHttpError(response, options.method || 'GET');
 }
 
 
-let loadedStyleSheets = {};
-
 /**
- * Adapted from http://stackoverflow.com/a/5537911
+ * Make a request with XMLHttpRequest, which (unlike fetch()) reports upload
+ * progress. Resolves with a Response, and fails like fetch() on network
+ * errors and when the request is aborted.
  */
-function loadStyleSheet(styleSheet, options)
+function xhrFetch(url, options)
 {
-    let parent;
-    if (options && options.parentId)
+    return new Promise((resolve, reject) =>
     {
-        parent = document.getElementById(options.parentId);
-        if (!parent)
+        // An aborted XMLHttpRequest that hasn't been sent fires no abort event
+        const signal = options.signal;
+        if (signal && signal.aborted)
         {
-            throw new Error(`No element found with ID ${options.parentId}`);
+            reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+            return;
         }
-    }
-    else
-    {
-        // Insert in head element by default
-        parent = document.getElementsByTagName('head')[0];
-    }
 
-    let href = styleSheet.href ? styleSheet.href : styleSheet;
-    if (options && options.baseUrl)
-    {
-        href = options.baseUrl + href;
-    }
+        let xhr = new XMLHttpRequest();
+        xhr.open(options.method || 'GET', url);
+        xhr.responseType = 'arraybuffer';
+        xhr.withCredentials = options.credentials === 'include';
+        new Headers(options.headers).forEach((value, name) => xhr.setRequestHeader(name, value));
 
-    // Create the link node
-    let link = document.createElement('link');
-    link.setAttribute('href', href);
-    link.setAttribute('rel', 'stylesheet');
-    link.setAttribute('type', 'text/css');
-    if (styleSheet.media)
-    {
-        link.setAttribute('media', styleSheet.media);
-    }
+        xhr.upload.onprogress = e => options.onUploadProgress(createProgress(e.loaded, e.lengthComputable ? e.total : null));
+        if (options.onDownloadProgress)
+        {
+            xhr.onprogress = e => options.onDownloadProgress(createProgress(e.loaded, e.lengthComputable ? e.total : null));
+        }
 
-    // Resolve on both success and error and return a response object
-    // (like fetch API)
-    let promise = new Promise(resolve =>
-    {
-        link.onload = () => resolve({ok: true, status: 200, text: () => null});
-        link.onerror = () => resolve({ok: false, status: 'error'});
+        const onAbort = () => xhr.abort();
+        xhr.onloadend = () =>
+        {
+            if (signal)
+            {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        xhr.onload = () => resolve(createXhrResponse(xhr));
+        xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+        xhr.onabort = () => reject(signal && signal.reason ? signal.reason :
+            new DOMException('The operation was aborted.', 'AbortError'));
+        if (signal)
+        {
+            signal.addEventListener('abort', onAbort, {once: true});
+        }
+
+        xhr.send(options.body === undefined ? null : options.body);
     });
+}
 
-    // Insert the link node into the DOM and start loading the style
-    // sheet
-    parent.appendChild(link);
 
-    return promise;
+function createXhrResponse(xhr)
+{
+    let headers = new Headers();
+    for (let line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/))
+    {
+        let index = line.indexOf(':');
+        if (index > 0)
+        {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+        }
+    }
+
+    // Responses with these statuses can't have a body
+    const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+    let response = new Response(body, {status: xhr.status, statusText: xhr.statusText, headers});
+    Object.defineProperty(response, 'url', {value: xhr.responseURL});
+    return response;
 }
 
 
-async function importCSS(css, options)
+/**
+ * Wrap a response so that reading its body reports download progress.
+ */
+function trackDownloadProgress(response, onDownloadProgress)
 {
-    if (Array.isArray(css))
+    if (!response.body)
     {
-        if (options && options.orderMatters)
+        return response;
+    }
+
+    const contentLength = Number(response.headers.get('Content-Length'));
+    const total = contentLength > 0 ? contentLength : null;
+    let loaded = 0;
+    let reader = response.body.getReader();
+    let stream = new ReadableStream(
+    {
+        async pull(controller)
         {
-            for (let ss of css)
+            let {done, value} = await reader.read();
+            if (done)
             {
-                await importCSS(ss, options);
+                controller.close();
+                return;
             }
-        }
-        else
+            loaded += value.byteLength;
+            onDownloadProgress(createProgress(loaded, total));
+            controller.enqueue(value);
+        },
+        cancel(reason)
         {
-            // Load simultaneously
-            return Promise.all(css.map(
-                ss => importCSS(ss, options)));
+            return reader.cancel(reason);
         }
-    }
-    if (css in loadedStyleSheets && (options && !options.parentId))
-    {
-        return Promise.resolve({ok: true, status: 200, text: () => null});
-    }
+    });
 
-    let response = await loadStyleSheet(css, options);
-    if (response.ok)
+    let trackedResponse = new Response(stream,
     {
-        loadedStyleSheets[css] = true;
-    }
-    return response;
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+    Object.defineProperty(trackedResponse, 'url', {value: response.url});
+    return trackedResponse;
 }
 
 
-let defaultEventBusModule;
-
 /**
- * Set a default event bus module. The interface is:
- * {
- *     create: {function(): Object},
- *     stop: {function(Object): {void}}
- * }
+ * Progress of an upload or download: {loaded, total, progress}, where total
+ * (in bytes) and progress (between 0 and 1) are null if the size is unknown.
  */
-function setDefaultEventBusModule(eventBusModule)
+function createProgress(loaded, total)
 {
-    defaultEventBusModule = eventBusModule;
+    return {
+        loaded,
+        total,
+        progress: total ? Math.min(loaded / total, 1) : null
+    };
 }
 
 
 /**
- * Properties:
- * 1. tag (optional): HTML tag of the element (default = 'div')
- * 2. el (optional): HTML element (if undefined, a new element will be created with the specified tag).
- * 3. id (optional): ID to be assigned to the HTML element.
- * 4. eventListeners (optional): object containing delegated event listeners.
- * 5. cleanupView (optional): function to be called when the view is to be cleaned up.
- * 6. cleanupOnRemovedFromDOM (optional, default = true): whether to call cleanupView() when the view element is removed from the DOM.
- * 7. onRemovedFromDOM (optional): function to be called when the view element is removed from the DOM.
+ * Parse a response body according to its Content-Type: JSON (including
+ * +json types such as application/problem+json), FormData for multipart
+ * bodies, text for text types, and a Blob or ArrayBuffer for binary types.
+ * Returns null for responses without content, and the response itself if
+ * it has no Content-Type.
  */
-function createView(properties)
+async function parseResponse(response, options)
 {
-    if (!properties.tag)
+    if (response.status === 204 || response.status === 205)
     {
-        properties.tag = 'div';
+        return null;
     }
-
-    // Cleanup view on removal by default
-    // eslint-disable-next-line
-    if (properties.cleanupOnRemovedFromDOM === undefined)
+    const contentType = response.headers.get('Content-Type');
+    if (!contentType)
     {
-        properties.cleanupOnRemovedFromDOM = true;
+        return response;
     }
-    let el;
-    if (properties.el)
+
+    const mediaType = getMediaType(contentType);
+    if (isJsonContentType(contentType))
     {
-        el = properties.el;
-        delete properties.el;
+        return response.json();
     }
-    else
+    if (mediaType === 'multipart/form-data')
     {
-        el = document.createElement(properties.tag);
+        return response.formData();
     }
-
-    if (properties.id)
+    if (isTextMediaType(mediaType))
     {
-        el.id = properties.id;
+        return response.text();
     }
-
-    el.props = properties;
-
-    if (properties.eventListeners)
+    if (options.binaryResponseType === 'arrayBuffer')
     {
-        addEventListeners(el, properties.eventListeners);
+        return response.arrayBuffer();
     }
+    return response.blob();
+}
 
-    let customOnRemovedFromDOM;
-    if (properties.onRemovedFromDOM)
-    {
-        customOnRemovedFromDOM = properties.onRemovedFromDOM;
-    }
-    properties.onRemovedFromDOM = async function()
-    {
-        if (customOnRemovedFromDOM)
-        {
-            await customOnRemovedFromDOM(el);
-        }
-        if (properties.cleanupOnRemovedFromDOM)
-        {
-            if (properties.cleanupView)
-            {
-                await properties.cleanupView(el);
-            }
-            else
-            {
-                cleanupView(el);
-            }
-        }
-    };
 
-    // Create dedicated event bus for the view
-    let eventBusModule = defaultEventBusModule || properties.eventBusModule;
-    if (!eventBusModule)
-    {
-        throw Error("No event bus module configured.");
-    }
-    Object.assign(properties,
-    {
-        eventBus: eventBusModule.create(),
-        eventBusModule: eventBusModule
-    });
+function getMediaType(contentType)
+{
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+}
 
-    return el;
+
+function isJsonContentType(contentType)
+{
+    const mediaType = getMediaType(contentType);
+    return mediaType === 'application/json' || mediaType.endsWith('+json');
 }
 
 
-function cleanupView(el)
+function isTextMediaType(mediaType)
 {
-    removeEventListeners(el);
-    el.props.eventBusModule.stop(el.props.eventBus);
-    delete el.props;
+    return mediaType.startsWith('text/') ||
+        mediaType.endsWith('+xml') ||
+        [
+            'application/xml',
+            'application/javascript',
+            'application/ecmascript',
+            'application/x-www-form-urlencoded'
+        ].includes(mediaType);
 }
 
 
-function addEventListeners(el, eventListenersMap)
+/**
+ * Create a fetch function with the same semantics as Modelle.fetch() and
+ * common configuration for all its requests. Configuration:
+ * 1. baseUrl (optional): URL that relative request URLs are resolved against.
+ * 2. headers (optional): headers for all requests, or a (possibly async) function that returns them. Request headers take precedence.
+ * 3. options (optional): default options for all requests, e.g. timeout or retry.
+ * 4. interceptors (optional): {request: [...], response: [...], error: [...]} (see below).
+ *
+ * Interceptors are called in order with a request object of the form
+ * {url, options, replays, replay(options)}, where options.headers is a
+ * Headers object:
+ * - request interceptors, as fn(request), before the request is made. They
+ *   can modify the request or return a new one.
+ * - response interceptors, as fn(result, request), after a successful
+ *   request. They return the (possibly transformed) result.
+ * - error interceptors, as fn(error, request), after a failed request. They
+ *   can throw an error or return a result to recover from the error, e.g.
+ *   with request.replay() after refreshing an access token. replays is the
+ *   number of times the request has been replayed.
+ *
+ * The interceptors can be changed later through the interceptors property
+ * of the returned function.
+ */
+function createClient(config)
 {
-    removeEventListeners(el);
-    el._modelleActualEventListeners = {};
-    for (let eventName of Object.keys(eventListenersMap))
+    config = Object.assign({baseUrl: '', headers: {}, options: {}}, config);
+    let interceptors = Object.assign({request: [], response: [], error: []}, config.interceptors);
+
+    async function client(url, options, replays)
     {
-        let eventListeners = eventListenersMap[eventName];
+        let headers = typeof config.headers === 'function' ? await config.headers() : config.headers;
+        headers = new Headers(headers);
+        for (let [name, value] of new Headers((options && options.headers) || {}))
+        {
+            headers.set(name, value);
+        }
+
+        let request =
+        {
+            url: resolveUrl(config.baseUrl, url),
+            options: Object.assign({}, config.options, options, {headers}),
+            replays: replays || 0,
+
+            // Replay the original request, including its interceptors
+            replay: replayOptions => client(url,
+                Object.assign({}, options, replayOptions), request.replays + 1)
+        };
+        for (let interceptor of interceptors.request)
+        {
+            request = (await interceptor(request)) || request;
+        }
 
-        /* eslint-disable */
-        async function actualEventListener(event)
+        let result;
+        try
         {
-            // Make a list of non-empty selectors to process:
-            // To support event delegation with potentially nested delegators
-            // we have to process in order of innermost to outermost.
-            let selectorsToProcess = [];
-            let processViewElEvent;
-            for (let selector of Object.keys(eventListeners))
+            result = await fetch2(request.url, request.options);
+        }
+        catch(e)
+        {
+            let error = e;
+            let recovered = false;
+            for (let interceptor of interceptors.error)
             {
-                if (selector)
+                try
                 {
-                    selectorsToProcess.push(selector);
+                    result = await interceptor(error, request);
+                    recovered = true;
+                    break;
                 }
-                else
+                catch(interceptorError)
                 {
-                    processViewElEvent = true;
+                    error = interceptorError;
                 }
             }
-
-            // Store references to the original stop propagation functions
-            let origStopPropagation = event.stopPropagation.bind(event);
-            let origStopImmPropagation = event.stopImmediatePropagation.bind(event);
-
-            // Overwrite stop propagation methods: since we are handling
-            // the bubbling manually, these methods have to be customized.
-            Object.assign(event,
-            {
-                stopPropagation: function()
-                {
-                    // Call original stopPropagation()
-                    origStopPropagation();
-
-                    // Stop processing all other selectors
-                    selectorsToProcess.splice(0);
-                },
-                stopImmediatePropagation: function()
-                {
-                    // Call original stopImmediatePropagation()
-                    origStopImmPropagation();
-
-                    // Stop processing all other selectors
-                    selectorsToProcess.splice(0);
-                }
-            });
-
-            while (selectorsToProcess.length > 0)
+            if (!recovered)
             {
-                // Find the innermost element to process
-                let selectorsCommaSeparated = selectorsToProcess.join(', ');
-                let element = event.target.closest(selectorsCommaSeparated);
-
-                // If no matching element found, we are done processing
-                if (!element)
-                {
-                    break;
-                }
+                throw error;
+            }
+            return result;
+        }
 
-                // Find the selector that was matched
-                let selector = selectorsToProcess.find(s => element.matches(s));
+        for (let interceptor of interceptors.response)
+        {
+            result = await interceptor(result, request);
+        }
+        return result;
+    }
 
-                // Provide delegator target element in the event
-                event.delegatorTarget = element;
+    let clientFetch = (url, options) => client(url, options);
+    clientFetch.interceptors = interceptors;
+    return clientFetch;
+}
 
-                // Call the event listener
-                let listener = eventListeners[selector];
-                await listener(el, event);
 
-                // Remove selector from list to process (mark as done)
-                selectorsToProcess = selectorsToProcess.filter(s => s !== selector);
-            }
+function resolveUrl(baseUrl, url)
+{
+    // Absolute and protocol-relative URLs are used as is
+    if (!baseUrl || /^([a-z][a-z\d+\-.]*:|\/\/)/i.test(url))
+    {
+        return url;
+    }
+    return `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
 
-            // Lastly, process event on the view element, if any
-            if (processViewElEvent)
-            {
-                // Provide delegator target element in the event
-                event.delegatorTarget = el;
 
-                // Call the event listener
-                let listener = eventListeners[''];
-                await listener(el, event);
-            }
-        }
-        /* eslint-enable */
+/**
+ * Stream the records of an NDJSON (newline-delimited JSON) response. Takes
+ * the same options as fetch(), and:
+ * 1. onItem (optional): function called as onItem(item) for each record.
+ *
+ * Without onItem, returns an async iterator over the records; breaking out
+ * of a for await loop closes the stream. With onItem, the records are read
+ * right away, and a promise is returned that resolves when the stream ends.
+ *
+ * If the view option is given, the stream is closed (and the iteration
+ * ends) when the view is cleaned up.
+ */
+function stream(url, options)
+{
+    options = Object.assign({}, options);
+    const onItem = options.onItem;
+    delete options.onItem;
 
-        el.addEventListener(eventName, actualEventListener);
-        el._modelleActualEventListeners[eventName] = actualEventListener;
+    let records = streamRecords(url, options);
+    if (!onItem)
+    {
+        return records;
     }
+    return (async () =>
+    {
+        for await (let item of records)
+        {
+            await onItem(item);
+        }
+    })();
 }
 
 
-function removeEventListeners(el)
+async function* streamRecords(url, options)
 {
-    if (!el._modelleActualEventListeners)
+    let headers = new Headers(options.headers);
+    if (!headers.has('Accept'))
     {
-        return;
+        headers.set('Accept', 'application/x-ndjson');
     }
-    for (let [eventName, eventListener] of Object.entries(el._modelleActualEventListeners))
+    const view = options.view;
+    try
     {
-        el.removeEventListener(eventName, eventListener);
-    }
-
-    delete el._modelleActualEventListeners;
+        let response = await fetch2(url, Object.assign({}, options, {headers, parseResponse: false, envelope: false}));
+        let signals = [options.signal, view && view.props && view.props.abortSignal];
+        for await (let line of readLines(response, signals))
+        {
+            if (view && isViewCleanedUp(view))
+            {
+                return;
+            }
+            if (line.trim())
+            {
+                yield JSON.parse(line);
+            }
+        }
+        if (options.signal && options.signal.aborted && !(view && isViewCleanedUp(view)))
+        {
+            throw options.signal.reason;
+        }
+    }
+    catch(e)
+    {
+        // End quietly when the view is cleaned up
+        if (view && isViewCleanedUp(view))
+        {
+            return;
+        }
+        throw e;
+    }
+}
+
+
+/**
+ * Read the body of a response as lines of text, ending in \n, \r or \r\n.
+ * The reader is released if the iteration is ended early. Reading stops
+ * when one of the given signals is aborted: once the headers have arrived,
+ * the signal of the request no longer cancels the body.
+ */
+async function* readLines(response, signals)
+{
+    let reader = response.body.getReader();
+    let decoder = new TextDecoder();
+    let buffer = '';
+    let aborted = false;
+    const onAbort = () =>
+    {
+        aborted = true;
+        reader.cancel().catch(() => {});
+    };
+    signals = (signals || []).filter(Boolean);
+    for (let signal of signals)
+    {
+        signal.addEventListener('abort', onAbort);
+    }
+    try
+    {
+        for (;;)
+        {
+            if (aborted || signals.some(signal => signal.aborted))
+            {
+                return;
+            }
+            let {done, value} = await reader.read();
+            if (aborted)
+            {
+                return;
+            }
+            buffer += done ? decoder.decode() : decoder.decode(value, {stream: true});
+
+            // A \r at the end may be followed by a \n in the next chunk
+            let text = buffer;
+            let trailingCR = !done && text.endsWith('\r');
+            if (trailingCR)
+            {
+                text = text.slice(0, -1);
+            }
+            let lines = text.split(/\r\n|\r|\n/);
+            buffer = lines.pop() + (trailingCR ? '\r' : '');
+            yield* lines;
+
+            if (done)
+            {
+                if (buffer)
+                {
+                    yield buffer;
+                }
+                return;
+            }
+        }
+    }
+    finally
+    {
+        for (let signal of signals)
+        {
+            signal.removeEventListener('abort', onAbort);
+        }
+        reader.cancel().catch(() => {});
+    }
+}
+
+
+function isViewCleanedUp(el)
+{
+    return !el.props || el.props.abortSignal.aborted;
+}
+
+
+/**
+ * Connect to a Server-Sent Events endpoint. Unlike window.EventSource, the
+ * connection is made with Modelle.fetch(), so that headers can be sent, and
+ * it is re-established with exponential backoff after network and server
+ * errors. Reconnections send the ID of the last received event in the
+ * Last-Event-ID header, so that the server can resume the stream.
+ *
+ * The connection is closed when the view is cleaned up. Errors of listeners
+ * and of the connection are passed to the view's error handlers (with the
+ * phase 'eventSource'); 4xx responses close the connection.
+ *
+ * Options (in addition to those of fetch(), e.g. headers):
+ * 1. onMessage (optional): function called as onMessage(el, message) for every event, where message is
+ *    {type, data, id}.
+ * 2. parseJson (optional, default = false): whether to parse the data of the events as JSON.
+ * 3. retryDelay (optional, default = 1000): delay in milliseconds before reconnecting. The server can change it with
+ *    a retry field. It is doubled for each consecutive failed attempt, up to maxRetryDelay.
+ * 4. maxRetryDelay (optional, default = 30000): maximum delay before reconnecting.
+ * 5. onOpen (optional): function called as onOpen(el) when the connection is (re)established.
+ * 6. onReconnect (optional): function called as onReconnect(el, {attempt, delay, error}) before waiting to reconnect.
+ *
+ * Returns the event source, with the following properties:
+ * - on(type, listener): add a listener for events of a type ('message' for events without an event field), called
+ *   as listener(data, type, message). Returns a function that removes the listener.
+ * - close(): close the connection.
+ * - lastEventId: ID of the last received event.
+ */
+function eventSource(url, view, options)
+{
+    options = Object.assign(
+    {
+        onMessage: null,
+        parseJson: false,
+        retryDelay: 1000,
+        maxRetryDelay: 30000,
+        onOpen: null,
+        onReconnect: null
+    }, options);
+
+    let source =
+    {
+        lastEventId: '',
+        closed: false,
+        _controller: new AbortController(),
+        _events: EventBus.create(),
+        _retryDelay: options.retryDelay
+    };
+
+    Object.assign(source,
+    {
+        on: (type, listener) => source._events.on(type, listener),
+        close: () => closeEventSource(source)
+    });
+
+    if (isViewCleanedUp(view))
+    {
+        closeEventSource(source);
+        return source;
+    }
+    view.props.abortSignal.addEventListener('abort', () => closeEventSource(source), {once: true});
+
+    runEventSource(source, url, view, options);
+    return source;
+}
+
+
+function closeEventSource(source)
+{
+    if (source.closed)
+    {
+        return;
+    }
+    source.closed = true;
+    source._controller.abort();
+    EventBus.stop(source._events);
+}
+
+
+async function runEventSource(source, url, view, options)
+{
+    const fetchOptions = Object.assign({}, options);
+    for (let name of ['onMessage', 'parseJson', 'retryDelay', 'maxRetryDelay', 'onOpen', 'onReconnect'])
+    {
+        delete fetchOptions[name];
+    }
+
+    let attempt = 0;
+    while (!source.closed)
+    {
+        let error = null;
+        try
+        {
+            let headers = new Headers(options.headers);
+            headers.set('Accept', 'text/event-stream');
+            if (source.lastEventId)
+            {
+                headers.set('Last-Event-ID', source.lastEventId);
+            }
+            let response = await fetch2(url, Object.assign({}, fetchOptions,
+            {
+                headers,
+                cache: 'no-store',
+                signal: source._controller.signal,
+                parseResponse: false,
+                envelope: false,
+                retry: false,
+                outbox: false
+            }));
+            attempt = 0;
+            if (options.onOpen)
+            {
+                await options.onOpen(view);
+            }
+            await readEvents(source, response, view, options);
+        }
+        catch(e)
+        {
+            if (source.closed)
+            {
+                return;
+            }
+            if (e instanceof HttpError && e.isClientError())
+            {
+                closeEventSource(source);
+                handleBackgroundError(view, e, {phase: 'eventSource'});
+                return;
+            }
+            error = e;
+        }
+        if (source.closed)
+        {
+            return;
+        }
+
+        // Reconnect right after the server ended the stream, and back off
+        // after failures
+        let delay = source._retryDelay;
+        if (error)
+        {
+            attempt++;
+            delay = Math.min(source._retryDelay * (2 ** (attempt - 1)), options.maxRetryDelay);
+        }
+        if (options.onReconnect)
+        {
+            try
+            {
+                await options.onReconnect(view, {attempt, delay, error});
+            }
+            catch(e)
+            {
+                handleBackgroundError(view, e, {phase: 'eventSource'});
+            }
+        }
+        try
+        {
+            await wait(delay, source._controller.signal);
+        }
+        catch(e)
+        {
+            // Only rejects when the event source is closed
+            return;
+        }
+    }
+}
+
+
+/**
+ * Read the events of an event stream and dispatch them, following the
+ * parsing rules of the HTML specification.
+ */
+async function readEvents(source, response, view, options)
+{
+    let type = '';
+    let data = [];
+    for await (let line of readLines(response, [source._controller.signal]))
+    {
+        if (source.closed)
+        {
+            return;
+        }
+        if (line === '')
+        {
+            if (data.length > 0)
+            {
+                await dispatchServerSentEvent(source, view, options,
+                {
+                    type: type || 'message',
+                    data: data.join('\n'),
+                    id: source.lastEventId
+                });
+            }
+            type = '';
+            data = [];
+            continue;
+        }
+        if (line.startsWith(':'))
+        {
+            continue;
+        }
+
+        let index = line.indexOf(':');
+        let field = index === -1 ? line : line.slice(0, index);
+        let value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+        if (field === 'event')
+        {
+            type = value;
+        }
+        else if (field === 'data')
+        {
+            data.push(value);
+        }
+        else if (field === 'id' && !value.includes('\0'))
+        {
+            source.lastEventId = value;
+        }
+        else if (field === 'retry' && /^\d+$/.test(value))
+        {
+            source._retryDelay = Number(value);
+        }
+    }
+}
+
+
+async function dispatchServerSentEvent(source, view, options, message)
+{
+    try
+    {
+        if (options.parseJson)
+        {
+            message.data = JSON.parse(message.data);
+        }
+        if (options.onMessage)
+        {
+            await options.onMessage(view, message);
+        }
+        await source._events.emit(message.type, message.data, message);
+    }
+    catch(e)
+    {
+        // Not awaited, so that the errors don't interrupt the stream
+        handleBackgroundError(view, e, {phase: 'eventSource'});
+    }
+}
+
+
+// Shared WebSocket connections by URL
+let sockets = new Map();
+
+/**
+ * Get the shared WebSocket connection for a URL, creating it if needed. The
+ * connection is opened when the first view subscribes to a topic, closed
+ * when the last subscription is released, and re-established with
+ * exponential backoff when it is lost.
+ *
+ * By default, messages are JSON objects {topic, data}, and the server is
+ * sent {type: 'subscribe', topic} and {type: 'unsubscribe', topic} when the
+ * first view subscribes to a topic and the last one unsubscribes from it.
+ *
+ * Options (used when the connection is created):
+ * 1. protocols (optional): subprotocols of the WebSocket.
+ * 2. parseMessage (optional): function that converts the data of a received message into {topic, data}.
+ * 3. subscribeMessage (optional): function that returns the message to subscribe to a topic, or null.
+ * 4. unsubscribeMessage (optional): function that returns the message to unsubscribe from a topic, or null.
+ * 5. retryDelay (optional, default = 1000): delay in milliseconds before reconnecting, doubled for each consecutive
+ *    failed attempt, up to maxRetryDelay.
+ * 6. maxRetryDelay (optional, default = 30000): maximum delay before reconnecting.
+ *
+ * The connection has the following methods:
+ * - subscribe(el, topic): see subscribeToSocket().
+ * - send(message): send a message (objects are sent as JSON). Messages sent while the connection is not open are sent
+ *   once it is.
+ * - close(): close the connection and release all subscriptions.
+ */
+function socket(url, options)
+{
+    if (!sockets.has(url))
+    {
+        sockets.set(url, createSocket(url, options));
+    }
+    return sockets.get(url);
+}
+
+
+function createSocket(url, options)
+{
+    options = Object.assign(
+    {
+        protocols: undefined,
+        parseMessage: data => JSON.parse(data),
+        subscribeMessage: topic => ({type: 'subscribe', topic}),
+        unsubscribeMessage: topic => ({type: 'unsubscribe', topic}),
+        retryDelay: 1000,
+        maxRetryDelay: 30000
+    }, options);
+
+    let connection =
+    {
+        url,
+        _options: options,
+        _webSocket: null,
+        _attempt: 0,
+        _reconnectTimeout: null,
+
+        // Subscriptions ({el, topic}) by topic
+        _subscriptions: new Map(),
+
+        // Messages waiting for the connection to open
+        _queue: []
+    };
+
+    Object.assign(connection,
+    {
+        subscribe: (el, topic) => subscribeToSocket(connection, el, topic),
+        send: message => sendSocketMessage(connection, message),
+        close: () => closeSocket(connection)
+    });
+
+    return connection;
+}
+
+
+/**
+ * Subscribe a view to a topic. Messages of the topic are emitted on the
+ * view's event bus, as el.props.eventBus.emit(topic, data). Errors of the
+ * listeners are passed to the view's error handlers, with the phase
+ * 'socket'.
+ *
+ * The subscription is released when the view is cleaned up. Returns a
+ * function that releases it earlier.
+ */
+function subscribeToSocket(connection, el, topic)
+{
+    const signal = el.props.abortSignal;
+    let subscription = {el, topic};
+    const unsubscribe = () =>
+    {
+        signal.removeEventListener('abort', unsubscribe);
+        let subscriptions = connection._subscriptions.get(topic);
+        if (!subscriptions || !subscriptions.delete(subscription))
+        {
+            return;
+        }
+        if (subscriptions.size === 0)
+        {
+            connection._subscriptions.delete(topic);
+            sendControlMessage(connection, connection._options.unsubscribeMessage(topic));
+        }
+        if (connection._subscriptions.size === 0)
+        {
+            closeSocket(connection);
+        }
+    };
+    if (signal.aborted)
+    {
+        return unsubscribe;
+    }
+    signal.addEventListener('abort', unsubscribe);
+
+    if (!connection._subscriptions.has(topic))
+    {
+        connection._subscriptions.set(topic, new Set());
+        sendControlMessage(connection, connection._options.subscribeMessage(topic));
+    }
+    connection._subscriptions.get(topic).add(subscription);
+    if (!connection._webSocket)
+    {
+        openSocket(connection);
+    }
+    return unsubscribe;
+}
+
+
+function sendSocketMessage(connection, message)
+{
+    if (typeof message !== 'string' && !(message instanceof Blob) && !(message instanceof ArrayBuffer) &&
+        !ArrayBuffer.isView(message))
+    {
+        message = JSON.stringify(message);
+    }
+    let webSocket = connection._webSocket;
+    if (webSocket && webSocket.readyState === WebSocket.OPEN)
+    {
+        webSocket.send(message);
+        return;
+    }
+    connection._queue.push(message);
+    if (!webSocket)
+    {
+        openSocket(connection);
+    }
+}
+
+
+/**
+ * Send a (un)subscribe message if the connection is open. Subscribe
+ * messages for all topics are sent whenever the connection opens.
+ */
+function sendControlMessage(connection, message)
+{
+    let webSocket = connection._webSocket;
+    if (message && webSocket && webSocket.readyState === WebSocket.OPEN)
+    {
+        webSocket.send(JSON.stringify(message));
+    }
+}
+
+
+/**
+ * Open a connection, e.g. one that was closed before, and share it again if
+ * no other connection to its URL has been created in the meantime.
+ */
+function openSocket(connection)
+{
+    if (!sockets.has(connection.url))
+    {
+        sockets.set(connection.url, connection);
+    }
+    connectSocket(connection);
+}
+
+
+function connectSocket(connection)
+{
+    let webSocket = new WebSocket(connection.url, connection._options.protocols);
+    connection._webSocket = webSocket;
+
+    webSocket.onopen = () =>
+    {
+        connection._attempt = 0;
+        for (let topic of connection._subscriptions.keys())
+        {
+            sendControlMessage(connection, connection._options.subscribeMessage(topic));
+        }
+        for (let message of connection._queue.splice(0))
+        {
+            webSocket.send(message);
+        }
+    };
+
+    webSocket.onmessage = event => dispatchSocketMessage(connection, event);
+
+    webSocket.onclose = () =>
+    {
+        // Closed by closeSocket()
+        if (connection._webSocket !== webSocket)
+        {
+            return;
+        }
+        const options = connection._options;
+        const delay = Math.min(options.retryDelay * (2 ** connection._attempt), options.maxRetryDelay);
+        connection._attempt++;
+        connection._reconnectTimeout = setTimeout(() =>
+        {
+            connection._reconnectTimeout = null;
+            connectSocket(connection);
+        }, delay);
+    };
+}
+
+
+function dispatchSocketMessage(connection, event)
+{
+    let message;
+    try
+    {
+        message = connection._options.parseMessage(event.data);
+    }
+    catch(e)
+    {
+        // Ignore messages that aren't in the expected format
+        return;
+    }
+    if (!message || !connection._subscriptions.has(message.topic))
+    {
+        return;
+    }
+    for (let {el} of Array.from(connection._subscriptions.get(message.topic)))
+    {
+        if (!el.props)
+        {
+            continue;
+        }
+        // The event bus module may be a custom one whose emit() does not
+        // return a promise
+        let eventBus = el.props.eventBus;
+        Promise.resolve()
+            .then(() => eventBus.emit(message.topic, message.data))
+            .catch(e => handleBackgroundError(el, e, {phase: 'socket'}));
+    }
+}
+
+
+function closeSocket(connection)
+{
+    clearTimeout(connection._reconnectTimeout);
+    connection._reconnectTimeout = null;
+    let webSocket = connection._webSocket;
+    connection._webSocket = null;
+    connection._attempt = 0;
+    connection._queue = [];
+    connection._subscriptions.clear();
+    if (sockets.get(connection.url) === connection)
+    {
+        sockets.delete(connection.url);
+    }
+    if (webSocket)
+    {
+        webSocket.close();
+    }
+}
+
+
+// Outbox for requests that fail while offline, if enabled
+let outbox = null;
+
+/**
+ * Enable the outbox: non-GET requests made with Modelle.fetch() that fail
+ * with a FetchError are stored and replayed in order once the browser is
+ * back online. The FetchError is still thrown, with the stored entry in its
+ * outboxEntry property, so that views can show the request as pending.
+ *
+ * Options (see ModelleOutbox.create()):
+ * 1. onConflict (optional): function(error, entry) called when replaying a request fails with a 409 response. It may
+ *    return request options to send the request again with; otherwise, the request is discarded.
+ * 2. storage (optional): storage for the requests. Defaults to IndexedDB, or memory if it is not available.
+ *
+ * Returns the outbox, which emits events about the stored requests (see
+ * ModelleOutbox).
+ */
+function enableOutbox(options)
+{
+    if (!outbox)
+    {
+        outbox = Outbox.create(Object.assign({}, options,
+        {
+            send: (url, requestOptions) => fetch2(url, Object.assign(requestOptions, {outbox: false})),
+            isOffline: e => e instanceof FetchError
+        }));
+    }
+    return outbox;
+}
+
+
+/**
+ * Disable the outbox. Requests that are already stored are kept, and are
+ * replayed when the outbox is enabled again.
+ */
+function disableOutbox()
+{
+    if (outbox)
+    {
+        outbox.stop();
+        outbox = null;
+    }
+}
+
+
+// Loaded and registered templates by URL: HTML strings, or promises of them
+// while they are being loaded
+let templates = new Map();
+
+/**
+ * Load an HTML template. Templates are cached in memory, and concurrent
+ * requests for the same URL share a single request. Templates registered
+ * with registerTemplate() are returned without making a request.
+ */
+async function loadTemplate(url)
+{
+    if (!templates.has(url))
+    {
+        let promise = fetch2(url, {parseResponse: false})
+            .then(response => response.text())
+            .then(html =>
+            {
+                templates.set(url, html);
+                return html;
+            }, e =>
+            {
+                // Don't cache failures
+                templates.delete(url);
+                throw e;
+            });
+        templates.set(url, promise);
+    }
+    return templates.get(url);
+}
+
+
+/**
+ * Load multiple templates simultaneously, e.g. to warm up the cache.
+ */
+function preloadTemplates(urls)
+{
+    return Promise.all(urls.map(url => loadTemplate(url)));
+}
+
+
+/**
+ * Register a template for a URL, e.g. one inlined by a build step, so that
+ * loadTemplate() returns it without making a request.
+ */
+function registerTemplate(url, html)
+{
+    templates.set(url, html);
+}
+
+
+/**
+ * Register the contents of all <template> elements with an ID in a root
+ * node (the document by default), using the ID as URL. For example,
+ * <template id="Items/Items.html"> is returned by
+ * loadTemplate('Items/Items.html').
+ */
+function registerTemplateElements(root)
+{
+    for (let template of (root || document).querySelectorAll('template[id]'))
+    {
+        registerTemplate(template.id, template.innerHTML);
+    }
+}
+
+
+// Cached resources by key
+let resources = new Map();
+
+/**
+ * Get the cached resource for a key, creating it with the given loader if it
+ * doesn't exist yet. The loader is an (async) function that returns the
+ * value of the resource, e.g. () => Modelle.fetch('/api/user'). Views that
+ * share a key share a single value and a single request.
+ *
+ * Options:
+ * 1. ttl (optional, default = 0): time in milliseconds for which a loaded value is fresh. Stale values are still
+ *    returned, but are reloaded in the background (stale-while-revalidate).
+ *
+ * The resource has the following methods:
+ * - get(): Promise of the value. Loads it if there is none yet, and reloads it in the background if it is stale.
+ * - peek(): the current value, or undefined if it hasn't been loaded yet.
+ * - load(): (re)load the value. Concurrent loads share a single call of the loader.
+ * - set(value): replace the value, e.g. after a successful update.
+ * - invalidate(): mark the value as stale, and reload it if there are subscribers.
+ * - subscribe(el, listener): see subscribeToResource().
+ */
+function resource(key, loader, options)
+{
+    let entry = resources.get(key);
+    if (!entry)
+    {
+        if (!loader)
+        {
+            throw new Error(`Unknown resource: ${key}`);
+        }
+        entry = createResource(key, loader, options);
+        resources.set(key, entry);
+    }
+    else if (loader)
+    {
+        entry._loader = loader;
+        Object.assign(entry._options, options);
+    }
+    return entry;
+}
+
+
+function createResource(key, loader, options)
+{
+    let entry =
+    {
+        key,
+        _loader: loader,
+        _options: Object.assign({ttl: 0}, options),
+        _value: undefined,
+        _loaded: false,
+        _loadedAt: 0,
+        _loading: null,
+        _subscribers: new Set()
+    };
+
+    Object.assign(entry,
+    {
+        get: () => getResourceValue(entry),
+        peek: () => entry._value,
+        load: () => loadResource(entry),
+        set: value => setResourceValue(entry, value),
+        invalidate: () => invalidateResource(entry),
+        subscribe: (el, listener) => subscribeToResource(entry, el, listener)
+    });
+
+    return entry;
+}
+
+
+async function getResourceValue(entry)
+{
+    if (!entry._loaded)
+    {
+        return loadResource(entry);
+    }
+    if (Date.now() - entry._loadedAt >= entry._options.ttl)
+    {
+        revalidateResource(entry);
+    }
+    return entry._value;
+}
+
+
+function loadResource(entry)
+{
+    if (!entry._loading)
+    {
+        entry._loading = Promise.resolve()
+            .then(() => entry._loader())
+            .then(value =>
+            {
+                entry._loading = null;
+                setResourceValue(entry, value);
+                return value;
+            }, e =>
+            {
+                entry._loading = null;
+                throw e;
+            });
+    }
+    return entry._loading;
+}
+
+
+/**
+ * Reload a resource in the background. Errors are passed to the error
+ * handlers of the subscribed views.
+ */
+function revalidateResource(entry)
+{
+    loadResource(entry).catch(e =>
+    {
+        for (let subscriber of Array.from(entry._subscribers))
+        {
+            handleBackgroundError(subscriber.el, e, {phase: 'resource'});
+        }
+    });
+}
+
+
+function setResourceValue(entry, value)
+{
+    entry._value = value;
+    entry._loaded = true;
+    entry._loadedAt = Date.now();
+    for (let subscriber of Array.from(entry._subscribers))
+    {
+        notifySubscriber(subscriber, value);
+    }
+}
+
+
+function invalidateResource(entry)
+{
+    entry._loadedAt = -Infinity;
+    if (entry._subscribers.size > 0)
+    {
+        revalidateResource(entry);
+    }
+}
+
+
+/**
+ * Subscribe a view to a resource. The listener is either a function, called
+ * as listener(el, value), or the name of a property of el.props to which the
+ * value is assigned (which re-renders views with reactive props). It is
+ * called with the current value, if there is one, and whenever the value is
+ * updated. The value is loaded or revalidated as with get().
+ *
+ * The subscription is released when the view is cleaned up. Returns a
+ * function that releases it earlier.
+ */
+function subscribeToResource(entry, el, listener)
+{
+    let subscriber = {el, listener};
+    const signal = el.props.abortSignal;
+    const unsubscribe = () =>
+    {
+        entry._subscribers.delete(subscriber);
+        signal.removeEventListener('abort', unsubscribe);
+    };
+    if (signal.aborted)
+    {
+        return unsubscribe;
+    }
+    entry._subscribers.add(subscriber);
+    signal.addEventListener('abort', unsubscribe);
+
+    if (entry._loaded)
+    {
+        notifySubscriber(subscriber, entry._value);
+    }
+    if (!entry._loaded || Date.now() - entry._loadedAt >= entry._options.ttl)
+    {
+        revalidateResource(entry);
+    }
+    return unsubscribe;
+}
+
+
+async function notifySubscriber(subscriber, value)
+{
+    const {el, listener} = subscriber;
+    try
+    {
+        if (typeof listener === 'string')
+        {
+            el.props[listener] = value;
+        }
+        else
+        {
+            await listener(el, value);
+        }
+    }
+    catch(e)
+    {
+        await handleBackgroundError(el, e, {phase: 'resource'});
+    }
+}
+
+
+/**
+ * Mark the resource with the given key as stale, and reload it if any views
+ * are subscribed to it.
+ */
+function invalidate(key)
+{
+    let entry = resources.get(key);
+    if (entry)
+    {
+        entry.invalidate();
+    }
+}
+
+
+/**
+ * Wait till the given element is on the DOM.
+ */
+async function idleUntilOnDOM(element)
+{
+    if (document.body.contains(element))
+    {
+        return;
+    }
+
+    return new Promise(resolve =>
+    {
+        // Create mutation observer on body element
+        let observer = new MutationObserver(function(mutations)
+        {
+            mutations.forEach(function(mutation)
+            {
+                // For each added node
+                for (let node of mutation.addedNodes)
+                {
+                    // Check if the node is the element we are 
+                    // waiting for
+                    if (node === element)
+                    {
+                        resolve();
+                        observer.disconnect();
+                        return;
+                    }
+
+                    // Check if any of the node's descendants
+                    // is the element we are waiting for. This
+                    // has to be done manually because only direct
+                    // node additions are considered mutations. Even
+                    // if the added node is not the element itself, it
+                    // might have a descendant that is the element but
+                    // for which the mutation will never occur.
+                    if (node.querySelectorAll)
+                    {
+                        let descendantEls = node.querySelectorAll('*');
+                        for (let descendantEl of descendantEls)
+                        {
+                            if (descendantEl === element)
+                            {
+                                resolve();
+                                observer.disconnect();
+                                return;
+                            }
+                        }
+                    }
+                }
+            });
+        });
+
+        observer.observe(document.body,
+        {
+            childList: true,
+            subtree: true
+        });
+    });
+}
+
+
+/**
+ * Get the shadow root of an element, including closed shadow roots
+ * attached by createView().
+ */
+function getShadowRoot(el)
+{
+    if (el.shadowRoot)
+    {
+        return el.shadowRoot;
+    }
+    if (el.props && el.props.root && el.props.root !== el)
+    {
+        return el.props.root;
+    }
+    return null;
+}
+
+
+/**
+ * Get all descendant elements of a node, including those inside the shadow
+ * roots of the node and its descendants.
+ */
+function getDescendantElements(node)
+{
+    let descendantEls = [];
+    if (!node.querySelectorAll)
+    {
+        return descendantEls;
+    }
+    let shadowRoot = node.nodeType === Node.ELEMENT_NODE ? getShadowRoot(node) : null;
+    if (shadowRoot)
+    {
+        descendantEls.push(...getDescendantElements(shadowRoot));
+    }
+    for (let descendantEl of node.querySelectorAll('*'))
+    {
+        descendantEls.push(descendantEl);
+        let descendantShadowRoot = getShadowRoot(descendantEl);
+        if (descendantShadowRoot)
+        {
+            descendantEls.push(...getDescendantElements(descendantShadowRoot));
+        }
+    }
+    return descendantEls;
+}
+
+
+/**
+ * Observe view additions and removals inside a shadow root: mutations in
+ * shadow trees are not reported to observers of the document.
+ */
+function observeShadowRoot(shadowRoot)
+{
+    for (let observer of [viewElementRemovedObserver, viewElementAddedObserver])
+    {
+        observer.observe(shadowRoot,
+        {
+            childList: true,
+            subtree: true
+        });
+    }
+}
+
+
+// Views removed from the DOM in the current task, grouped in the order in
+// which their removal callbacks are to be called. Whether a view was
+// actually removed or only moved is decided once the task is over.
+let pendingRemovedViewGroups = [];
+let pendingRemovedViews = new Set();
+let pendingRemovedViewsTimeout = null;
+
+let viewElementRemovedObserver = new MutationObserver(mutations =>
+{
+    for (let mutation of mutations)
+    {
+        for (let node of mutation.removedNodes)
+        {
+            if (node.querySelectorAll)
+            {
+                // Callback on descendant views: this has to be done
+                // manually because only direct node removals are
+                // considered mutations. And even if the removed node is not a
+                // view itself, it might have descendants that are views for
+                // which the mutation will never occur.
+                let descendantViews = [];
+                let descendantEls = getDescendantElements(node);
+                /* eslint-disable max-depth */
+                for (let descendantEl of descendantEls)
+                {
+                    if (descendantEl.props)
+                    {
+                        descendantViews.push(descendantEl);
+                    }
+                }
+                /* eslint-enable max-depth */
+                addPendingRemovedViews(descendantViews);
+            }
+
+            // If the removed node is a view itself, call removed callback
+            // after those of its descendants
+            if (node.props)
+            {
+                addPendingRemovedViews([node]);
+            }
+        }
+    }
+});
+
+viewElementRemovedObserver.observe(document.body,
+{
+    childList: true,
+    subtree: true
+});
+
+
+function addPendingRemovedViews(views)
+{
+    if (views.length === 0)
+    {
+        return;
+    }
+    pendingRemovedViewGroups.push(views);
+    for (let view of views)
+    {
+        pendingRemovedViews.add(view);
+    }
+
+    // Views that are re-inserted before the end of the task (e.g. when
+    // reordering a list with insertBefore()) are treated as moved rather
+    // than removed
+    if (!pendingRemovedViewsTimeout)
+    {
+        pendingRemovedViewsTimeout = setTimeout(processPendingRemovedViews, 0);
+    }
+}
+
+
+async function processPendingRemovedViews()
+{
+    let groups = pendingRemovedViewGroups;
+    pendingRemovedViewGroups = [];
+    pendingRemovedViews = new Set();
+    pendingRemovedViewsTimeout = null;
+
+    let processedViews = new Set();
+    for (let views of groups)
+    {
+        let promises = [];
+        for (let view of views)
+        {
+            // Skip views that were already processed or cleaned up
+            if (processedViews.has(view) || !view.props)
+            {
+                continue;
+            }
+            processedViews.add(view);
+
+            if (view.isConnected)
+            {
+                if (view.props.onMoved)
+                {
+                    promises.push(view.props.onMoved(view));
+                }
+            }
+            else if (view.props.onRemovedFromDOM)
+            {
+                promises.push(view.props.onRemovedFromDOM(view));
+            }
+        }
+        await Promise.all(promises);
+    }
+}
+
+
+// Views created on elements that were already in the DOM. Their
+// onAddedToDOM callback is called by createView(), so the observer skips
+// them until the end of the task.
+let viewsAddedOnCreation = new Set();
+
+/**
+ * Call the onAddedToDOM callback of a view, passing errors on to the error
+ * handlers.
+ */
+async function callOnAddedToDOM(view)
+{
+    if (!view.props || !view.props.onAddedToDOM)
+    {
+        return;
+    }
+    try
+    {
+        await view.props.onAddedToDOM(view);
+    }
+    catch(e)
+    {
+        await handleBackgroundError(view, e, {phase: 'onAddedToDOM'});
+    }
+}
+
+
+let viewElementAddedObserver = new MutationObserver(async mutations =>
+{
+    // Collect the added views first: views that are pending removal are
+    // being moved, which is reported through onMoved instead. A view can
+    // show up in several mutations of the batch (e.g. when it was added to
+    // a parent which was then added to the DOM), so duplicates are skipped.
+    let seenViews = new Set();
+    let isAddedView = view =>
+    {
+        if (!view.props || !view.props.onAddedToDOM ||
+            pendingRemovedViews.has(view) || seenViews.has(view) || viewsAddedOnCreation.has(view))
+        {
+            return false;
+        }
+        seenViews.add(view);
+        return true;
+    };
+    let additions = [];
+    for (let mutation of mutations)
+    {
+        for (let node of mutation.addedNodes)
+        {
+            // Skip nodes that were removed again in the same batch of
+            // mutations
+            if (!node.isConnected)
+            {
+                continue;
+            }
+
+            let view = isAddedView(node) ? node : null;
+
+            // Callback on descendant views: as with removal, only direct
+            // node additions are considered mutations, so views inside the
+            // added node have to be found manually.
+            let descendantViews = getDescendantElements(node).filter(isAddedView);
+            additions.push(
+            {
+                view,
+                descendantViews
+            });
+        }
+    }
+
+    for (let {view, descendantViews} of additions)
+    {
+        // If the added node is a view itself, call added callback before
+        // those of its descendants
+        if (view)
+        {
+            await callOnAddedToDOM(view);
+        }
+        await Promise.all(descendantViews.map(callOnAddedToDOM));
+    }
+});
+
+viewElementAddedObserver.observe(document.body,
+{
+    childList: true,
+    subtree: true
+});
+
+
+// https://stackoverflow.com/a/35385518
+function htmlToElement(html)
+{
+    let template = document.createElement('template');
+
+    // Never return a text node of whitespace as the result
+    html = html.trim();
+    template.innerHTML = html;
+    return template.content.firstChild;
+}
+
+
+// https://stackoverflow.com/a/35385518
+function htmlToElements(html)
+{
+    let template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content.childNodes;
+}
+
+
+/**
+ * Append a CSS transition to an element instead of overwriting the
+ * current value. This is useful if multiple CSS transitions are needed
+ * simultaneously but you can't manage them from the same place 
+ * (for example, if you are implementing a custom slide animation and 
+ * also need to use fadeIn()).
+ */
+function appendCssTransition(el, transition, prefixedValues)
+{
+    for (let prefix of ['', '-webkit-', '-moz-', '-o-', '-ms-'])
+    {
+        let value = prefixedValues ? prefix + transition : transition;
+        let existingValue = el.style.transition;
+        if (!existingValue || existingValue === 'all 0s ease 0s')
+        {
+            el.style.transition = value;
+        }
+        else if (existingValue.indexOf(value) === -1)
+        {
+            value = `${existingValue}, ${value}`;
+            el.style.transition = value;
+        }
+    }
+}
+
+
+async function fadeIn(el, durationInMs)
+{
+    if (!durationInMs)
+    {
+        durationInMs = 300;
+    }
+    await new Promise(resolve =>
+    {
+        const cssDuration = `${durationInMs / 1000}s`;
+        appendCssTransition(el, `opacity ${cssDuration} ease 0s`);
+        el.style.opacity = 1;
+
+        // Resolve after durationInMs (sometimes transitionend events don't 
+        // fire so we just use a timeout)
+        setTimeout(resolve, durationInMs);
+    });
+}
+
+
+async function fadeOut(el, durationInMs)
+{
+    if (!durationInMs)
+    {
+        durationInMs = 300;
+    }
+    await new Promise(resolve =>
+    {
+        const cssDuration = `${durationInMs / 1000}s`;
+        appendCssTransition(el, `opacity ${cssDuration} ease 0s`);
+        el.style.opacity = 0;
+
+        // Resolve after durationInMs (sometimes transitionend events don't 
+        // fire so we just use a timeout)
+        setTimeout(resolve, durationInMs);
+    });
+}
+
+
+let loadedStyleSheets = {};
+
+/**
+ * Adapted from http://stackoverflow.com/a/5537911
+ */
+function loadStyleSheet(styleSheet, options)
+{
+    let parent;
+    if (options && options.parentId)
+    {
+        parent = document.getElementById(options.parentId);
+        if (!parent)
+        {
+            throw new Error(`No element found with ID ${options.parentId}`);
+        }
+    }
+    else
+    {
+        // Insert in head element by default
+        parent = document.getElementsByTagName('head')[0];
+    }
+
+    let href = styleSheet.href ? styleSheet.href : styleSheet;
+    if (options && options.baseUrl)
+    {
+        href = options.baseUrl + href;
+    }
+
+    // Create the link node
+    let link = document.createElement('link');
+    link.setAttribute('href', href);
+    link.setAttribute('rel', 'stylesheet');
+    link.setAttribute('type', 'text/css');
+    if (styleSheet.media)
+    {
+        link.setAttribute('media', styleSheet.media);
+    }
+
+    // Resolve on both success and error and return a response object
+    // (like fetch API)
+    let promise = new Promise(resolve =>
+    {
+        link.onload = () => resolve({ok: true, status: 200, text: () => null});
+        link.onerror = () => resolve({ok: false, status: 'error'});
+    });
+
+    // Insert the link node into the DOM and start loading the style
+    // sheet
+    parent.appendChild(link);
+
+    return promise;
+}
+
+
+async function importCSS(css, options)
+{
+    if (Array.isArray(css))
+    {
+        if (options && options.orderMatters)
+        {
+            for (let ss of css)
+            {
+                await importCSS(ss, options);
+            }
+        }
+        else
+        {
+            // Load simultaneously
+            return Promise.all(css.map(
+                ss => importCSS(ss, options)));
+        }
+    }
+    if (css in loadedStyleSheets && (options && !options.parentId))
+    {
+        return Promise.resolve({ok: true, status: 200, text: () => null});
+    }
+
+    let response = await loadStyleSheet(css, options);
+    if (response.ok)
+    {
+        loadedStyleSheets[css] = true;
+    }
+    return response;
+}
+
+
+let errorHandler = null;
+
+/**
+ * Set a global error handler, of the form (el, error, context) => {...}.
+ * It is called for errors that no view's onError handler handles (see
+ * handleError()).
+ */
+function setErrorHandler(handler)
+{
+    errorHandler = handler;
+}
+
+
+/**
+ * Pass an error that occurred in a view on to the error handlers: the
+ * onError handler of the view or of its nearest ancestor view that has one,
+ * and lastly the global error handler. If a handler throws, the thrown
+ * error is passed on to the next handler. If there is no handler left, the
+ * error is rethrown.
+ *
+ * Handlers are called as onError(boundaryEl, error, context), where context
+ * contains the view in which the error occurred (view), the phase (e.g.
+ * 'eventListener', 'cleanupView', 'onRemovedFromDOM', 'createView', 'render'
+ * or 'submit') and, for event listeners, eventName and selector.
+ */
+async function handleError(el, error, context)
+{
+    context = Object.assign({view: el}, context);
+    let view = el;
+    while (view)
+    {
+        if (view.props && view.props.onError)
+        {
+            try
+            {
+                return await view.props.onError(view, error, context);
+            }
+            catch(e)
+            {
+                error = e;
+            }
+        }
+        view = getParentView(view);
+    }
+
+    if (errorHandler)
+    {
+        return errorHandler(el, error, context);
+    }
+    throw error;
+}
+
+
+/**
+ * Pass an error on to handleError() from code that nobody awaits, e.g. a
+ * timer or a background request. If no handler handles the error, it is
+ * logged instead of becoming an unhandled promise rejection.
+ */
+function handleBackgroundError(el, error, context)
+{
+    return handleError(el, error, context)
+        .catch(e => console.error(e));
+}
+
+
+let defaultEventBusModule;
+
+/**
+ * Set a default event bus module. The interface is:
+ * {
+ *     create: {function(): Object},
+ *     stop: {function(Object): {void}}
+ * }
+ *
+ * If no module is set and none is passed in to createView(), the built-in
+ * Modelle.EventBus module is used.
+ */
+function setDefaultEventBusModule(eventBusModule)
+{
+    defaultEventBusModule = eventBusModule;
+}
+
+
+/**
+ * Properties:
+ * 1. tag (optional): HTML tag of the element (default = 'div')
+ * 2. el (optional): HTML element (if undefined, a new element will be created with the specified tag).
+ * 3. id (optional): ID to be assigned to the HTML element.
+ * 4. eventListeners (optional): object containing delegated event listeners.
+ * 5. cleanupView (optional): function to be called when the view is to be cleaned up.
+ * 6. cleanupOnRemovedFromDOM (optional, default = true): whether to call cleanupView() when the view element is removed from the DOM.
+ * 7. onRemovedFromDOM (optional): function to be called when the view element is removed from the DOM and not re-inserted within the same task.
+ * 8. onAddedToDOM (optional): function to be called each time the view element is added to the DOM, and after the view is created if its element is already in the DOM.
+ * 9. onMoved (optional): function to be called when the view element is removed from the DOM and re-inserted within the same task.
+ * 10. shadow (optional): 'open' or 'closed' to attach a shadow root to the element. The view is rendered into el.props.root, which is the shadow root or, without this option, the element itself.
+ * 11. onError (optional): function to be called as onError(el, error, context) for errors in this view and its descendant views (see handleError()).
+ * 12. reactive (optional): whether to track changes to el.props (see watch()).
+ * 13. render (optional): function to be called as render(el) after el.props has changed. Implies reactive.
+ *
+ * In addition, el.props.abortSignal is an AbortSignal that is aborted when
+ * the view is cleaned up.
+ */
+function createView(properties)
+{
+    if (!properties.tag)
+    {
+        properties.tag = 'div';
+    }
+
+    // Cleanup view on removal by default
+    // eslint-disable-next-line
+    if (properties.cleanupOnRemovedFromDOM === undefined)
+    {
+        properties.cleanupOnRemovedFromDOM = true;
+    }
+    let el;
+    if (properties.el)
+    {
+        el = properties.el;
+        delete properties.el;
+    }
+    else
+    {
+        el = document.createElement(properties.tag);
+    }
+
+    if (properties.id)
+    {
+        el.id = properties.id;
+    }
+
+    // Render into a shadow root if requested, otherwise into the element
+    // itself
+    if (properties.shadow)
+    {
+        properties.root = el.shadowRoot || el.attachShadow({mode: properties.shadow});
+        observeShadowRoot(properties.root);
+    }
+    else
+    {
+        properties.root = el;
+    }
+
+    el.props = properties;
+
+    if (properties.eventListeners)
+    {
+        addEventListeners(el, properties.eventListeners);
+    }
+
+    let customOnRemovedFromDOM;
+    if (properties.onRemovedFromDOM)
+    {
+        customOnRemovedFromDOM = properties.onRemovedFromDOM;
+    }
+    properties.onRemovedFromDOM = async function()
+    {
+        if (customOnRemovedFromDOM)
+        {
+            try
+            {
+                await customOnRemovedFromDOM(el);
+            }
+            catch(e)
+            {
+                await handleError(el, e, {phase: 'onRemovedFromDOM'});
+            }
+        }
+        if (properties.cleanupOnRemovedFromDOM)
+        {
+            try
+            {
+                if (properties.cleanupView)
+                {
+                    await properties.cleanupView(el);
+                }
+                else
+                {
+                    cleanupView(el);
+                }
+            }
+            catch(e)
+            {
+                await handleError(el, e, {phase: 'cleanupView'});
+            }
+        }
+    };
+
+    // Create dedicated event bus for the view
+    let eventBusModule = defaultEventBusModule || properties.eventBusModule || EventBus;
+    Object.assign(properties,
+    {
+        eventBus: eventBusModule.create(),
+        eventBusModule: eventBusModule
+    });
+
+    // Aborted on cleanup, to cancel requests made by the view
+    properties._abortController = new AbortController();
+    properties.abortSignal = properties._abortController.signal;
+
+    if (properties.reactive || properties.render)
+    {
+        el.props = createReactiveProps(el, properties);
+    }
+
+    // The observer only reports elements added from now on
+    if (el.isConnected && properties.onAddedToDOM)
+    {
+        viewsAddedOnCreation.add(el);
+        setTimeout(() => viewsAddedOnCreation.delete(el), 0);
+        Promise.resolve().then(() => callOnAddedToDOM(el));
+    }
+
+    return el;
+}
+
+
+// State of views with reactive props
+let reactiveViews = new WeakMap();
+
+/**
+ * Wrap a view's props in a proxy that tracks writes to its properties. The
+ * changes are batched: once per microtask, the watchers of the changed
+ * properties and then props.render(el) are called.
+ */
+function createReactiveProps(el, properties)
+{
+    let state =
+    {
+        watchers: new Map(),
+
+        // Values of the changed properties before the first change in the
+        // current batch
+        oldValues: new Map(),
+        scheduled: false
+    };
+    reactiveViews.set(el, state);
+
+    let recordChange = (property, oldValue) =>
+    {
+        if (!state.oldValues.has(property))
+        {
+            state.oldValues.set(property, oldValue);
+        }
+        if (!state.scheduled)
+        {
+            state.scheduled = true;
+            queueMicrotask(() => flushReactiveChanges(el, state));
+        }
+    };
+
+    let proxy = new Proxy(properties,
+    {
+        set(target, property, value, receiver)
+        {
+            // Writes to objects that inherit from the props, such as the
+            // scopes of template lists, are not changes of the props
+            if (receiver !== proxy)
+            {
+                return Reflect.set(target, property, value, receiver);
+            }
+            let oldValue = target[property];
+            target[property] = value;
+            if (oldValue !== value)
+            {
+                recordChange(property, oldValue);
+            }
+            return true;
+        },
+        deleteProperty(target, property)
+        {
+            if (property in target)
+            {
+                let oldValue = target[property];
+                delete target[property];
+                recordChange(property, oldValue);
+            }
+            return true;
+        }
+    });
+    return proxy;
+}
+
+
+async function flushReactiveChanges(el, state)
+{
+    let oldValues = state.oldValues;
+    state.oldValues = new Map();
+    state.scheduled = false;
+
+    // The view may have been cleaned up in the meantime
+    if (!el.props || reactiveViews.get(el) !== state)
+    {
+        return;
+    }
+
+    let changed = false;
+    try
+    {
+        for (let [property, oldValue] of oldValues)
+        {
+            let value = el.props[property];
+            if (value === oldValue)
+            {
+                continue;
+            }
+            changed = true;
+            for (let watcher of Array.from(state.watchers.get(property) || []))
+            {
+                await watcher(el, value, oldValue);
+            }
+        }
+        if (changed && el.props && el.props.render)
+        {
+            await el.props.render(el);
+        }
+    }
+    catch(e)
+    {
+        await handleBackgroundError(el, e, {phase: 'render'});
+    }
+}
+
+
+/**
+ * Call fn(el, value, oldValue) after a property of a view's reactive props
+ * has changed. Returns a function that removes the watcher; watchers are
+ * also removed by cleanupView().
+ */
+function watch(el, property, fn)
+{
+    let state = reactiveViews.get(el);
+    if (!state)
+    {
+        throw new Error('watch() requires a view created with reactive props');
+    }
+    if (!state.watchers.has(property))
+    {
+        state.watchers.set(property, new Set());
+    }
+    state.watchers.get(property).add(fn);
+    return () => state.watchers.get(property).delete(fn);
+}
+
+
+function cleanupView(el)
+{
+    removeEventListeners(el);
+    el.props.eventBusModule.stop(el.props.eventBus);
+    reactiveViews.delete(el);
+    if (el.props._abortController)
+    {
+        el.props._abortController.abort();
+    }
+    delete el.props;
+}
+
+
+// Events that don't bubble, mapped to their bubbling equivalents so that
+// they can be delegated
+const bubblingEventNames =
+{
+    focus: 'focusin',
+    blur: 'focusout',
+    mouseenter: 'mouseover',
+    mouseleave: 'mouseout'
+};
+
+// Events that don't bubble and have no bubbling equivalent: these are
+// delegated by listening in the capture phase
+const captureEventNames = ['scroll', 'load', 'error'];
+
+
+/**
+ * Add delegated event listeners to a view element. The map is of the form:
+ * {
+ *     eventName:
+ *     {
+ *         $options (optional): listener options for all selectors,
+ *         selector: listener or {handler: listener, ...listener options},
+ *         ...
+ *     }
+ * }
+ *
+ * Listener options are capture, passive, once, global, and debounce or
+ * throttle (in milliseconds) with leading and trailing.
+ *
+ * An empty selector ('') matches the view element itself. Keyboard event
+ * names can be qualified with a key combination, e.g. 'keydown:Enter' or
+ * 'keydown:Ctrl+S'. Global listeners are added to the document and are
+ * called while the view is attached and has focus (see isViewFocused()).
+ */
+function addEventListeners(el, eventListenersMap)
+{
+    removeEventListeners(el);
+    el._modelleActualEventListeners = [];
+    el._modelleTimeouts = new Set();
+
+    // Listen on the shadow root too, if any: the path of an event from
+    // inside a closed shadow root is hidden from listeners on the host
+    let shadowRoot = getShadowRoot(el);
+    let viewTargets = shadowRoot ? [shadowRoot, el] : [el];
+
+    for (let qualifiedEventName of Object.keys(eventListenersMap))
+    {
+        let [eventName, keyCombination] = splitQualifiedEventName(qualifiedEventName);
+        let eventListeners = normalizeEventListeners(eventName,
+            eventListenersMap[qualifiedEventName]);
+        for (let [selector, listener] of Object.entries(eventListeners))
+        {
+            listener.handler = rateLimitHandler(el, listener,
+            {
+                phase: 'eventListener',
+                eventName: qualifiedEventName,
+                selector
+            });
+        }
+
+        // Listeners with different capture, passive or global options need
+        // separate actual event listeners. Events are only remapped to their
+        // bubbling equivalents for delegation: the view element itself
+        // listens to the original event.
+        let groups = {};
+        for (let [selector, listener] of Object.entries(eventListeners))
+        {
+            let actualEventName = selector || listener.global ?
+                bubblingEventNames[eventName] || eventName : eventName;
+            let key = `${actualEventName}:${listener.capture}:${listener.passive}:${Boolean(listener.global)}`;
+            if (!groups[key])
+            {
+                groups[key] =
+                {
+                    actualEventName,
+                    options: {capture: listener.capture, passive: listener.passive},
+                    global: Boolean(listener.global),
+                    eventListeners: {}
+                };
+            }
+            groups[key].eventListeners[selector] = listener;
+        }
+
+        for (let group of Object.values(groups))
+        {
+            let actualEventName = group.actualEventName;
+            let filter = createEventFilter(el, keyCombination, group.global);
+            let actualEventListener = createActualEventListener(el, qualifiedEventName,
+                group.eventListeners, filter);
+            let targets = group.global ? [document] : viewTargets;
+            for (let target of targets)
+            {
+                target.addEventListener(actualEventName, actualEventListener, group.options);
+            }
+            el._modelleActualEventListeners.push(
+            {
+                eventName: actualEventName,
+                actualEventListener,
+                options: group.options,
+                targets
+            });
+        }
+    }
+}
+
+
+// Events whose names can be qualified with a key combination
+const keyboardEventNames = ['keydown', 'keyup', 'keypress'];
+
+/**
+ * Split an event name such as 'keydown:Ctrl+S' into the event name and the
+ * key combination. Other event names, e.g. of custom events such as
+ * 'item:added', are returned as they are.
+ */
+function splitQualifiedEventName(qualifiedEventName)
+{
+    let index = qualifiedEventName.indexOf(':');
+    if (index === -1 || !keyboardEventNames.includes(qualifiedEventName.slice(0, index)))
+    {
+        return [qualifiedEventName, null];
+    }
+    return [
+        qualifiedEventName.slice(0, index),
+        parseKeyCombination(qualifiedEventName.slice(index + 1))
+    ];
+}
+
+
+const keyAliases =
+{
+    esc: 'Escape',
+    space: ' ',
+    spacebar: ' ',
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    del: 'Delete'
+};
+
+
+/**
+ * Parse a key combination such as 'Ctrl+Shift+S' or 'Escape'. The key is
+ * compared with event.key; modifiers are Ctrl (or Control), Alt, Shift and
+ * Meta (or Cmd).
+ */
+function parseKeyCombination(keyCombination)
+{
+    // Allow '+' itself as the key, e.g. 'Ctrl++'
+    let parts = keyCombination.split(/\+(?!$)/);
+    let key = parts.pop();
+    let modifiers = parts.map(modifier => modifier.toLowerCase());
+    return {
+        key: keyAliases[key.toLowerCase()] || key,
+        ctrl: modifiers.includes('ctrl') || modifiers.includes('control'),
+        alt: modifiers.includes('alt'),
+        shift: modifiers.includes('shift'),
+        meta: modifiers.includes('meta') || modifiers.includes('cmd')
+    };
+}
+
+
+function matchesKeyCombination(event, keyCombination)
+{
+    if (event.ctrlKey !== keyCombination.ctrl ||
+        event.altKey !== keyCombination.alt ||
+        event.metaKey !== keyCombination.meta)
+    {
+        return false;
+    }
+
+    // For single characters, event.key already reflects Shift (e.g. 'S' or
+    // '?'), so Shift is only checked if it is part of the combination
+    if (keyCombination.key.length === 1)
+    {
+        return event.key.toLowerCase() === keyCombination.key.toLowerCase() &&
+            (!keyCombination.shift || event.shiftKey);
+    }
+    return event.key === keyCombination.key && event.shiftKey === keyCombination.shift;
+}
+
+
+/**
+ * Whether a view is attached and has focus, i.e. the focused element is the
+ * view element or inside it.
+ */
+function isViewFocused(el)
+{
+    if (!el.isConnected)
+    {
+        return false;
+    }
+    let activeElement = el.getRootNode().activeElement;
+    return Boolean(activeElement) && (activeElement === el || el.contains(activeElement));
+}
+
+
+function createEventFilter(el, keyCombination, global)
+{
+    return event =>
+    {
+        if (keyCombination && (event.key === undefined ||
+            !matchesKeyCombination(event, keyCombination)))
+        {
+            return false;
+        }
+        return !global || isViewFocused(el);
+    };
+}
+
+
+/**
+ * Convert the listeners of an event to the form
+ * {selector: {handler, capture, passive, once, global}}.
+ */
+function normalizeEventListeners(eventName, eventListeners)
+{
+    let eventOptions = eventListeners.$options || {};
+    let normalized = {};
+    for (let selector of Object.keys(eventListeners))
+    {
+        if (selector === '$options')
+        {
+            continue;
+        }
+        let listener = eventListeners[selector];
+        if (typeof listener === 'function')
+        {
+            listener = {handler: listener};
+        }
+        normalized[selector] = Object.assign(
+        {
+            capture: captureEventNames.includes(eventName)
+        }, eventOptions, listener);
+    }
+    return normalized;
+}
+
+
+/**
+ * Wrap a listener's handler according to its debounce or throttle option.
+ * Timeouts are tracked on the view element so that removeEventListeners()
+ * can cancel them. Errors from delayed calls are passed on to the error
+ * handlers with the given context.
+ */
+function rateLimitHandler(el, listener, errorContext)
+{
+    const debounce = listener.debounce !== undefined;
+    if (!debounce && listener.throttle === undefined)
+    {
+        return listener.handler;
+    }
+    const handler = listener.handler;
+    const delay = debounce ? listener.debounce : listener.throttle;
+    const leading = listener.leading !== undefined ? listener.leading : !debounce;
+    const trailing = listener.trailing !== undefined ? listener.trailing : true;
+
+    let timeout = null;
+    let pendingCall = null;
+
+    // The delegator target is overwritten while the event is processed
+    // further, so it has to be restored when the handler is called later
+    let callHandler = ([event, delegatorTarget]) =>
+    {
+        event.delegatorTarget = delegatorTarget;
+        return handler(el, event);
+    };
+
+    let startTimeout = onTimeout =>
+    {
+        // The listeners may have been removed while the event was processed:
+        // there are no more calls to wait for
+        if (!el._modelleTimeouts)
+        {
+            timeout = null;
+            pendingCall = null;
+            return;
+        }
+        let id = setTimeout(() =>
+        {
+            el._modelleTimeouts.delete(id);
+            timeout = null;
+            onTimeout();
+        }, delay);
+        el._modelleTimeouts.add(id);
+        timeout = id;
+    };
+
+    let callPending = () =>
+    {
+        if (pendingCall)
+        {
+            let call = pendingCall;
+            pendingCall = null;
+            Promise.resolve()
+                .then(() => callHandler(call))
+                .catch(e => handleBackgroundError(el, e, errorContext));
+            return true;
+        }
+        return false;
+    };
+
+    if (debounce)
+    {
+        return function(view, event)
+        {
+            let call = [event, event.delegatorTarget];
+            let callNow = leading && !timeout;
+            if (timeout && el._modelleTimeouts)
+            {
+                clearTimeout(timeout);
+                el._modelleTimeouts.delete(timeout);
+            }
+            pendingCall = trailing && !callNow ? call : null;
+            startTimeout(callPending);
+            if (callNow)
+            {
+                return callHandler(call);
+            }
+        };
+    }
+
+    let onThrottleTimeout = () =>
+    {
+        // Keep throttling if a trailing call was made
+        if (callPending())
+        {
+            startTimeout(onThrottleTimeout);
+        }
+    };
+    return function(view, event)
+    {
+        let call = [event, event.delegatorTarget];
+        if (timeout)
+        {
+            if (trailing)
+            {
+                pendingCall = call;
+            }
+            return;
+        }
+        startTimeout(onThrottleTimeout);
+        if (leading)
+        {
+            return callHandler(call);
+        }
+        pendingCall = trailing ? call : null;
+    };
+}
+
+
+function createActualEventListener(el, qualifiedEventName, eventListeners, filter)
+{
+    const [eventName] = splitQualifiedEventName(qualifiedEventName);
+
+    // mouseenter and mouseleave are delegated through mouseover and
+    // mouseout, which also fire when moving between descendants
+    const checkRelatedTarget = eventName === 'mouseenter' || eventName === 'mouseleave';
+
+    /* eslint-disable */
+    async function actualEventListener(event)
+    {
+        if (!filter(event))
+        {
+            return;
+        }
+
+        // Events from inside a shadow root reach both the shadow root
+        // and the host: only handle them once
+        if (!event._modelleHandledListeners)
+        {
+            event._modelleHandledListeners = new Set();
+        }
+        if (event._modelleHandledListeners.has(actualEventListener))
+        {
+            return;
+        }
+        event._modelleHandledListeners.add(actualEventListener);
+
+        // Make a list of non-empty selectors to process:
+        // To support event delegation with potentially nested delegators
+        // we have to process in order of innermost to outermost.
+        let selectorsToProcess = [];
+        let processViewElEvent;
+        for (let selector of Object.keys(eventListeners))
+        {
+            if (selector)
+            {
+                selectorsToProcess.push(selector);
+            }
+            else
+            {
+                processViewElEvent = true;
+            }
+        }
+
+        // The composed path is only available while the event is being
+        // dispatched, i.e. until the first listener is awaited
+        let path = event.composedPath();
+
+        // Store references to the original stop propagation functions
+        let origStopPropagation = event.stopPropagation.bind(event);
+        let origStopImmPropagation = event.stopImmediatePropagation.bind(event);
+
+        // Overwrite stop propagation methods: since we are handling
+        // the bubbling manually, these methods have to be customized.
+        Object.assign(event,
+        {
+            stopPropagation: function()
+            {
+                // Call original stopPropagation()
+                origStopPropagation();
+
+                // Stop processing all other selectors
+                selectorsToProcess.splice(0);
+            },
+            stopImmediatePropagation: function()
+            {
+                // Call original stopImmediatePropagation()
+                origStopImmPropagation();
+
+                // Stop processing all other selectors
+                selectorsToProcess.splice(0);
+            }
+        });
+
+        let unhandledErrors = [];
+        let callListener = async function(selector, delegatorTarget)
+        {
+            let listener = eventListeners[selector];
+            if (!listener)
+            {
+                return;
+            }
+
+            // Skip moves between descendants of the delegator
+            if (checkRelatedTarget && event.relatedTarget &&
+                delegatorTarget.contains(event.relatedTarget))
+            {
+                return;
+            }
+
+            if (listener.once)
+            {
+                delete eventListeners[selector];
+            }
+
+            // Provide delegator target element in the event
+            event.delegatorTarget = delegatorTarget;
+
+            // Call the event listener. Errors are passed on to the error
+            // handlers; unhandled errors are rethrown once the remaining
+            // selectors have been processed.
+            try
+            {
+                await listener.handler(el, event);
+            }
+            catch(e)
+            {
+                try
+                {
+                    await handleError(el, e,
+                    {
+                        phase: 'eventListener',
+                        eventName: qualifiedEventName,
+                        selector
+                    });
+                }
+                catch(unhandledError)
+                {
+                    unhandledErrors.push(unhandledError);
+                }
+            }
+        };
+
+        while (selectorsToProcess.length > 0)
+        {
+            // Find the innermost element to process
+            let selectorsCommaSeparated = selectorsToProcess.join(', ');
+            let element = findDelegator(path, selectorsCommaSeparated);
+
+            // If no matching element found, we are done processing
+            if (!element)
+            {
+                break;
+            }
+
+            // Find the selector that was matched
+            let selector = selectorsToProcess.find(s => element.matches(s));
+
+            await callListener(selector, element);
+
+            // Remove selector from list to process (mark as done)
+            selectorsToProcess = selectorsToProcess.filter(s => s !== selector);
+        }
+
+        // Lastly, process event on the view element, if any
+        if (processViewElEvent)
+        {
+            await callListener('', el);
+        }
+
+        if (unhandledErrors.length > 0)
+        {
+            throw unhandledErrors[0];
+        }
+    }
+    /* eslint-enable */
+
+    return actualEventListener;
+}
+
+
+/**
+ * Find the innermost element in an event's composed path that matches the
+ * given selectors. The composed path is used instead of event.target so that
+ * elements inside shadow roots are found even though the event target is
+ * retargeted to the shadow host.
+ */
+function findDelegator(path, selectors)
+{
+    for (let node of path)
+    {
+        if (node.nodeType === Node.ELEMENT_NODE && node.matches(selectors))
+        {
+            return node;
+        }
+    }
+    return null;
+}
+
+
+function removeEventListeners(el)
+{
+    if (!el._modelleActualEventListeners)
+    {
+        return;
+    }
+    for (let {eventName, actualEventListener, options, targets} of el._modelleActualEventListeners)
+    {
+        for (let target of targets)
+        {
+            target.removeEventListener(eventName, actualEventListener, options);
+        }
+    }
+
+    delete el._modelleActualEventListeners;
+
+    // Cancel pending debounced and throttled calls
+    for (let timeout of el._modelleTimeouts)
+    {
+        clearTimeout(timeout);
+    }
+    delete el._modelleTimeouts;
+}
+
+
+/**
+ * Register a custom element for a control module, so that the component can
+ * be used as e.g. <items-list user-id="3"> in plain HTML.
+ *
+ * When the element is connected, the module's createView() is called with
+ * the element and its observed attributes as properties. Attribute names
+ * are converted to camel case (user-id => userId). The attributes to
+ * observe are given by the module's observedAttributes array; changes to
+ * them are written into el.props and reported to the module's optional
+ * onAttributeChanged(el, name, value, oldValue) function.
+ *
+ * When the element is disconnected and not re-inserted within the same
+ * task, the view is cleaned up through its onRemovedFromDOM callback (see
+ * createView()). The callback is called once per removal, whether the
+ * removal is reported by the removal observer, disconnectedCallback() or
+ * both.
+ */
+function defineElement(tagName, controlModule)
+{
+    const observedAttributes = controlModule.observedAttributes || [];
+
+    let elementClass = class extends HTMLElement
+    {
+        static get observedAttributes()
+        {
+            return observedAttributes;
+        }
+
+        connectedCallback()
+        {
+            // Moved or re-attached element: the view already exists, or is
+            // about to be created
+            if (this.props || this._modelleCreatingView)
+            {
+                return;
+            }
+            this._modelleCreatingView = true;
+
+            let attributes = {};
+            for (let name of observedAttributes)
+            {
+                if (this.hasAttribute(name))
+                {
+                    attributes[attributeNameToPropertyName(name)] = this.getAttribute(name);
+                }
+            }
+            Promise.resolve()
+                .then(() => controlModule.createView({el: this, ...attributes}))
+                .catch(e => handleBackgroundError(this, e, {phase: 'createView'}))
+                .finally(() =>
+                {
+                    delete this._modelleCreatingView;
+                });
+        }
+
+        disconnectedCallback()
+        {
+            // Hand the view over to the removal observer, which decides
+            // whether it was removed or moved once the task is over. This
+            // also covers elements in shadow roots that are not observed.
+            // Runs after the observer's callback, so that the removal is not
+            // reported out of order or twice.
+            Promise.resolve().then(() =>
+            {
+                if (this.props && !pendingRemovedViews.has(this))
+                {
+                    addPendingRemovedViews([this]);
+                }
+            });
+        }
+
+        attributeChangedCallback(name, oldValue, value)
+        {
+            // Initial attributes are passed in to createView() on connection
+            if (!this.props || oldValue === value)
+            {
+                return;
+            }
+            this.props[attributeNameToPropertyName(name)] = value;
+            if (controlModule.onAttributeChanged)
+            {
+                controlModule.onAttributeChanged(this, name, value, oldValue);
+            }
+        }
+    };
+
+    customElements.define(tagName, elementClass);
+    return elementClass;
+}
+
+
+function attributeNameToPropertyName(name)
+{
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+
+/**
+ * Get the nearest ancestor view of an element, or null if there is none.
+ */
+function getParentView(el)
+{
+    let node = el.parentNode;
+    while (node)
+    {
+        if (node.props && node.props.eventBus)
+        {
+            return node;
+        }
+
+        // Continue from the host of a shadow root
+        if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.host)
+        {
+            node = node.host;
+            continue;
+        }
+        node = node.parentNode;
+    }
+    return null;
+}
+
+
+/**
+ * Get the nearest descendant views of an element, i.e. the descendant views
+ * that are not nested inside another descendant view.
+ */
+function getChildViews(el)
+{
+    let childViews = [];
+    for (let descendantEl of getDescendantElements(el))
+    {
+        if (descendantEl.props && descendantEl.props.eventBus &&
+            getParentView(descendantEl) === el)
+        {
+            childViews.push(descendantEl);
+        }
+    }
+    return childViews;
+}
+
+
+function createPropagationEvent(el, topic, data)
+{
+    let event =
+    {
+        topic,
+        data,
+        source: el,
+        currentView: null,
+        propagationStopped: false,
+        immediatePropagationStopped: false,
+        stopPropagation()
+        {
+            event.propagationStopped = true;
+        },
+        stopImmediatePropagation()
+        {
+            event.propagationStopped = true;
+            event.immediatePropagationStopped = true;
+        }
+    };
+    return event;
+}
+
+
+/**
+ * Emit an event on a view's event bus and then on the event buses of its
+ * ancestor views, innermost first. Listeners receive (data, topic, event)
+ * and can call event.stopPropagation() to prevent the event from reaching
+ * further ancestors.
+ */
+async function bubble(el, topic, data)
+{
+    let event = createPropagationEvent(el, topic, data);
+    let view = el;
+    while (view)
+    {
+        event.currentView = view;
+        await view.props.eventBus.emit(topic, data, event);
+        if (event.propagationStopped)
+        {
+            break;
+        }
+        view = getParentView(view);
+    }
+    return event;
+}
+
+
+/**
+ * Emit an event on the event buses of a view's descendant views, outermost
+ * first. The view's own event bus is not included. If a listener calls
+ * event.stopPropagation(), the event does not reach the descendants of the
+ * listener's view, but its siblings still receive it.
+ */
+async function broadcast(el, topic, data)
+{
+    let event = createPropagationEvent(el, topic, data);
+    let broadcastToChildren = async function(view)
+    {
+        for (let childView of getChildViews(view))
+        {
+            // Child view may have been cleaned up by an earlier listener
+            if (!childView.props)
+            {
+                continue;
+            }
+            event.currentView = childView;
+            event.propagationStopped = false;
+            event.immediatePropagationStopped = false;
+            await childView.props.eventBus.emit(topic, data, event);
+            if (!event.propagationStopped)
+            {
+                await broadcastToChildren(childView);
+            }
+        }
+    };
+    await broadcastToChildren(el);
+    return event;
 }
 
 
@@ -589,11 +3427,31 @@ function runOnceOnDOM(el, fn)
 
 export default {
     fetch: fetch2,
+    createClient,
+    resource,
+    invalidate,
+    enableOutbox,
+    disableOutbox,
+    stream,
+    eventSource,
+    socket,
+    loadTemplate,
+    preloadTemplates,
+    registerTemplate,
+    registerTemplateElements,
     Form,
+    EventBus,
+    Template,
     FetchError,
+    TimeoutError,
     HttpError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
     htmlToElement,
     htmlToElements,
+    patch: Patch.patch,
     appendCssTransition,
     fadeIn,
     fadeOut,
@@ -601,7 +3459,15 @@ export default {
     createView,
     cleanupView,
     runOnceOnDOM,
+    watch,
+    defineElement,
+    getParentView,
+    getChildViews,
+    bubble,
+    broadcast,
     addEventListeners,
     removeEventListeners,
+    handleError,
+    setErrorHandler,
     setDefaultEventBusModule
 };
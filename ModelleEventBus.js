@@ -0,0 +1,146 @@
+define([], function()
+{
+    'use strict';
+
+    /**
+     * Default event bus module. Implements the interface expected by
+     * Modelle.setDefaultEventBusModule():
+     * {
+     *     create: {function(): Object},
+     *     stop: {function(Object): {void}}
+     * }
+     *
+     * Topics are strings. A listener topic may contain '*' wildcards, each of
+     * which matches any sequence of characters (e.g. 'item:*' matches
+     * 'item:added' and 'item:removed', and '*' matches every topic).
+     */
+
+
+    function create()
+    {
+        let bus =
+        {
+            _listeners: [],
+            _stopped: false
+        };
+
+        Object.assign(bus,
+        {
+            on: (topic, listener) => on(bus, topic, listener),
+            off: (topic, listener) => off(bus, topic, listener),
+            once: (topic, listener) => once(bus, topic, listener),
+            emit: (topic, data, event) => emit(bus, topic, data, event)
+        });
+
+        return bus;
+    }
+
+
+    /**
+     * Detach all listeners. Events emitted on a stopped bus are ignored.
+     */
+    function stop(bus)
+    {
+        bus._listeners.splice(0);
+        bus._stopped = true;
+    }
+
+
+    /**
+     * Add a listener for a topic. The listener is called as
+     * listener(data, topic, event) and may be async. Returns a function that
+     * removes the listener.
+     */
+    function on(bus, topic, listener)
+    {
+        if (bus._stopped)
+        {
+            return () => {};
+        }
+        bus._listeners.push(
+        {
+            topic,
+            pattern: topicToRegExp(topic),
+            listener
+        });
+        return () => off(bus, topic, listener);
+    }
+
+
+    /**
+     * Remove a listener. If no listener is given, all listeners of the topic
+     * are removed.
+     */
+    function off(bus, topic, listener)
+    {
+        for (let i = bus._listeners.length - 1; i >= 0; i--)
+        {
+            let entry = bus._listeners[i];
+            if (entry.topic !== topic)
+            {
+                continue;
+            }
+            if (!listener || entry.listener === listener || entry.listener._original === listener)
+            {
+                bus._listeners.splice(i, 1);
+            }
+        }
+    }
+
+
+    /**
+     * Add a listener that is removed after it is called for the first time.
+     */
+    function once(bus, topic, listener)
+    {
+        let wrapper = function(data, emittedTopic, event)
+        {
+            off(bus, topic, wrapper);
+            return listener(data, emittedTopic, event);
+        };
+        wrapper._original = listener;
+        return on(bus, topic, wrapper);
+    }
+
+
+    /**
+     * Emit an event. Matching listeners are called in the order in which they
+     * were added, each one awaited before the next is called.
+     *
+     * The optional event object is passed on to the listeners. It is used by
+     * Modelle.bubble() and Modelle.broadcast() to implement propagation between
+     * views; if a listener calls event.stopImmediatePropagation(), the remaining
+     * listeners are not called.
+     */
+    async function emit(bus, topic, data, event)
+    {
+        if (bus._stopped)
+        {
+            return;
+        }
+
+        // Copy the matching listeners so that listeners added or removed during
+        // the emit don't affect this one
+        let entries = bus._listeners.filter(entry => entry.pattern.test(topic));
+        for (let entry of entries)
+        {
+            await entry.listener(data, topic, event);
+            if (event && event.immediatePropagationStopped)
+            {
+                break;
+            }
+        }
+    }
+
+
+    function topicToRegExp(topic)
+    {
+        let escaped = topic.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${escaped}$`);
+    }
+
+
+    return {create, stop};
+});
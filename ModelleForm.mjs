@@ -210,7 +210,16 @@ async function onSubmitClicked(el)
     try
     {
         await props.readAndValidate(el);
-        await props.submit(el);
+        try
+        {
+            await props.submit(el);
+        }
+        catch(e)
+        {
+            // Pass submission errors on to the view's error handlers
+            let modelle = (await import('./modelle.mjs')).default;
+            await modelle.handleError(el, e, {phase: 'submit'});
+        }
     }
     finally
     {
@@ -232,7 +241,7 @@ function disableAllInputs(el)
         }
         map.el.disabled = true;
     }
-    el.querySelector(el.props.submitBtnSelector).disabled = true;
+    el.props.root.querySelector(el.props.submitBtnSelector).disabled = true;
 }
 
 
@@ -249,7 +258,7 @@ function enableAllInputs(el)
         }
         map.el.disabled = false;
     }
-    el.querySelector(props.submitBtnSelector).disabled = false;
+    props.root.querySelector(props.submitBtnSelector).disabled = false;
 }
 
 
@@ -280,6 +289,107 @@ function getModelFormMap(el)
 }
 
 
+/**
+ * Create a model form map entry for a file input. The value of the
+ * attribute is the selected File, or an array of Files if the input accepts
+ * multiple files.
+ *
+ * Options:
+ * 1. progressEl (optional): element in which the upload progress of each file is shown, as a <progress> element
+ *    labelled with the file name.
+ * 2. onFileProgress (optional): function called as onFileProgress(file, progress) with the upload progress of a
+ *    file, {loaded, total, progress}.
+ *
+ * The progress is reported by the function returned by
+ * createUploadProgressHandler().
+ */
+function fileInput(input, options)
+{
+    options = Object.assign(
+    {
+        progressEl: null,
+        onFileProgress: null
+    }, options);
+
+    let progressElements = new Map();
+
+    return {
+        el: input,
+        formValueReader: input => (input.multiple ? Array.from(input.files) : input.files[0] || null),
+        getFiles: () => Array.from(input.files),
+        showFileProgress: (file, progress) =>
+        {
+            if (options.progressEl)
+            {
+                if (!progressElements.has(file))
+                {
+                    progressElements.set(file, createFileProgressElement(options.progressEl, file));
+                }
+                let progressEl = progressElements.get(file);
+                progressEl.max = progress.total || 1;
+                progressEl.value = progress.total ? progress.loaded : 1;
+            }
+            if (options.onFileProgress)
+            {
+                options.onFileProgress(file, progress);
+            }
+        }
+    };
+}
+
+
+function createFileProgressElement(containerEl, file)
+{
+    let label = document.createElement('label');
+    label.className = 'fileProgress';
+    let progress = document.createElement('progress');
+    label.append(file.name, progress);
+    containerEl.append(label);
+    return progress;
+}
+
+
+/**
+ * Create an onUploadProgress handler for Modelle.fetch() that reports the
+ * progress of each file of the form's file inputs (see fileInput()). The
+ * files are assumed to be uploaded in the order of the model form map, e.g.
+ * in a FormData body built from the model.
+ */
+function createUploadProgressHandler(el)
+{
+    let modelFormMap = el.props._normalizedModelFormMap || el.props.getModelFormMap(el);
+    let files = [];
+    for (let attribute of Object.keys(modelFormMap))
+    {
+        let map = modelFormMap[attribute];
+        if (map.getFiles)
+        {
+            for (let file of map.getFiles())
+            {
+                files.push({file, map});
+            }
+        }
+    }
+
+    return progress =>
+    {
+        const done = progress.total !== null && progress.loaded >= progress.total;
+        let offset = 0;
+        for (let {file, map} of files)
+        {
+            let loaded = done ? file.size : Math.min(Math.max(progress.loaded - offset, 0), file.size);
+            offset += file.size;
+            map.showFileProgress(file,
+            {
+                loaded,
+                total: file.size,
+                progress: file.size ? loaded / file.size : 1
+            });
+        }
+    };
+}
+
+
 /**
  * Validate the data in the form. Override by passing in a custom
  * validate() function into createView().
@@ -290,4 +400,4 @@ async function validate(el)
 }
 
 
-export default {createView, readAndValidate, getEventListeners, ValidationError};
+export default {createView, readAndValidate, getEventListeners, fileInput, createUploadProgressHandler, ValidationError};
@@ -0,0 +1,343 @@
+import EventBus from './ModelleEventBus.mjs';
+
+/**
+ * Outbox for requests that fail because the network is down. Requests are
+ * stored in IndexedDB (or in memory, if IndexedDB is not available) and
+ * replayed in order when the browser comes back online.
+ *
+ * The outbox emits the following topics, with an object {entry, result} or
+ * {entry, error} as data:
+ * - queued: a request was added to the outbox.
+ * - synced: a request was replayed successfully.
+ * - conflict: replaying a request failed with a 409 response.
+ * - failed: replaying a request failed with another error, e.g. a 4xx
+ *   response. The request is discarded.
+ * - empty: all requests have been replayed.
+ */
+
+
+const DB_NAME = 'modelle-outbox';
+const STORE_NAME = 'requests';
+
+// Request options that are stored along with the request
+const storedOptionNames = ['method', 'headers', 'body', 'credentials', 'mode', 'cache', 'referrerPolicy',
+    'timeout', 'acceptableStatusCodes', 'parseResponse', 'envelope', 'binaryResponseType'];
+
+// Makes the IDs of requests added in the same millisecond sort in order
+let idCounter = 0;
+
+
+/**
+ * Create an outbox. Options:
+ * 1. send: function(url, options) that makes a request, e.g. Modelle.fetch().
+ * 2. isOffline: function(error) that returns whether a request failed because the network is down.
+ * 3. onConflict (optional): function(error, entry) called when replaying a request fails with a 409 response.
+ *    It may return request options (e.g. {body: ...}) to send the request again with; otherwise, the request is
+ *    discarded.
+ * 4. storage (optional): storage for the requests, with the methods getAll(), put(entry) and delete(id), all
+ *    returning promises. Defaults to IndexedDB, or memory if IndexedDB is not available.
+ */
+function create(options)
+{
+    options = Object.assign(
+    {
+        onConflict: null,
+        storage: null
+    }, options);
+
+    let outbox =
+    {
+        _send: options.send,
+        _isOffline: options.isOffline,
+        _onConflict: options.onConflict,
+        _storage: options.storage || createStorage(),
+        _events: EventBus.create(),
+        _replaying: null
+    };
+
+    Object.assign(outbox,
+    {
+        add: (url, requestOptions) => add(outbox, url, requestOptions),
+        replay: () => replay(outbox),
+        getPending: () => getPending(outbox),
+        on: (topic, listener) => outbox._events.on(topic, listener),
+        off: (topic, listener) => outbox._events.off(topic, listener),
+        stop: () => stop(outbox)
+    });
+
+    outbox._onOnline = () => replay(outbox);
+    window.addEventListener('online', outbox._onOnline);
+
+    // Replay requests stored on a previous visit
+    if (navigator.onLine !== false)
+    {
+        replay(outbox);
+    }
+
+    return outbox;
+}
+
+
+function stop(outbox)
+{
+    window.removeEventListener('online', outbox._onOnline);
+    EventBus.stop(outbox._events);
+}
+
+
+/**
+ * Store a request. Returns the stored entry, {id, url, options, createdAt}.
+ * IDs sort in the order in which the requests were added.
+ */
+async function add(outbox, url, options)
+{
+    let entry =
+    {
+        id: createId(),
+        url,
+        options: serializeOptions(options),
+        createdAt: Date.now()
+    };
+    await outbox._storage.put(entry);
+    await outbox._events.emit('queued', {entry});
+    return entry;
+}
+
+
+/**
+ * Get the stored requests, oldest first.
+ */
+async function getPending(outbox)
+{
+    let entries = await outbox._storage.getAll();
+    return entries.sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+
+/**
+ * Send the stored requests in order. Replaying stops at the first request
+ * that fails because the network is down or with a server error (5xx); it
+ * is retried the next time.
+ */
+function replay(outbox)
+{
+    if (!outbox._replaying)
+    {
+        outbox._replaying = replayPending(outbox)
+            .finally(() =>
+            {
+                outbox._replaying = null;
+            });
+    }
+    return outbox._replaying;
+}
+
+
+async function replayPending(outbox)
+{
+    let entries = await getPending(outbox);
+    for (let entry of entries)
+    {
+        if (!await replayEntry(outbox, entry))
+        {
+            return;
+        }
+    }
+    if (entries.length > 0)
+    {
+        await outbox._events.emit('empty', {});
+    }
+}
+
+
+/**
+ * Send a stored request. Returns false if it failed because the network is
+ * down or with a server error (5xx).
+ */
+async function replayEntry(outbox, entry)
+{
+    let result;
+    try
+    {
+        result = await outbox._send(entry.url, deserializeOptions(entry.options));
+    }
+    catch(e)
+    {
+        // Server errors are usually temporary too: keep the request
+        if (outbox._isOffline(e) || e.status >= 500)
+        {
+            return false;
+        }
+        if (e.status === 409)
+        {
+            let options = outbox._onConflict ? await outbox._onConflict(e, entry) : null;
+            await outbox._events.emit('conflict', {entry, error: e});
+            if (options)
+            {
+                entry.options = serializeOptions(Object.assign(deserializeOptions(entry.options), options));
+                await outbox._storage.put(entry);
+                return replayEntry(outbox, entry);
+            }
+        }
+        else
+        {
+            await outbox._events.emit('failed', {entry, error: e});
+        }
+        await outbox._storage.delete(entry.id);
+        return true;
+    }
+
+    await outbox._storage.delete(entry.id);
+    await outbox._events.emit('synced', {entry, result});
+    return true;
+}
+
+
+/**
+ * Convert request options into a form that can be stored in IndexedDB.
+ */
+function serializeOptions(options)
+{
+    let serialized = {};
+    for (let name of storedOptionNames)
+    {
+        if (options[name] !== undefined)
+        {
+            serialized[name] = options[name];
+        }
+    }
+
+    let headers = new Headers(options.headers);
+    let body = options.body;
+    if (body instanceof FormData)
+    {
+        body = {formData: Array.from(body.entries())};
+    }
+    else if (body instanceof URLSearchParams)
+    {
+        if (!headers.has('Content-Type'))
+        {
+            headers.set('Content-Type', 'application/x-www-form-urlencoded;charset=UTF-8');
+        }
+        body = body.toString();
+    }
+    serialized.headers = Array.from(headers.entries());
+    if (body !== undefined)
+    {
+        serialized.body = body;
+    }
+    return serialized;
+}
+
+
+function deserializeOptions(serialized)
+{
+    let options = Object.assign({}, serialized, {headers: new Headers(serialized.headers)});
+    if (serialized.body && serialized.body.formData)
+    {
+        options.body = new FormData();
+        for (let [name, value] of serialized.body.formData)
+        {
+            options.body.append(name, value);
+        }
+    }
+    return options;
+}
+
+
+function createId()
+{
+    idCounter = (idCounter + 1) % (36 ** 4);
+    return `${Date.now().toString(36).padStart(10, '0')}-${idCounter.toString(36).padStart(4, '0')}`;
+}
+
+
+/**
+ * Create the default storage: IndexedDB, falling back to memory if IndexedDB
+ * is not available or can't be opened (e.g. in private browsing).
+ */
+function createStorage()
+{
+    if (typeof indexedDB === 'undefined')
+    {
+        return createMemoryStorage();
+    }
+
+    let storage = null;
+    let opening = createIndexedDBStorage()
+        .catch(() => createMemoryStorage())
+        .then(openedStorage =>
+        {
+            storage = openedStorage;
+            return storage;
+        });
+    const call = async (method, ...args) => (storage || await opening)[method](...args);
+    return {
+        getAll: () => call('getAll'),
+        put: entry => call('put', entry),
+        delete: id => call('delete', id)
+    };
+}
+
+
+function createMemoryStorage()
+{
+    let entries = new Map();
+    return {
+        getAll: async () => Array.from(entries.values()),
+        put: async entry =>
+        {
+            entries.set(entry.id, entry);
+        },
+        delete: async id =>
+        {
+            entries.delete(id);
+        }
+    };
+}
+
+
+async function createIndexedDBStorage()
+{
+    let db = await requestToPromise(openDatabase());
+    const transact = (mode, fn) =>
+    {
+        let store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return requestToPromise(fn(store));
+    };
+    return {
+        getAll: () => transact('readonly', store => store.getAll()),
+        put: async entry =>
+        {
+            await transact('readwrite', store => store.put(entry));
+        },
+        delete: async id =>
+        {
+            await transact('readwrite', store => store.delete(id));
+        }
+    };
+}
+
+
+function openDatabase()
+{
+    let request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () =>
+    {
+        request.result.createObjectStore(STORE_NAME, {keyPath: 'id'});
+    };
+    return request;
+}
+
+
+function requestToPromise(request)
+{
+    return new Promise((resolve, reject) =>
+    {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+
+export default {create, createMemoryStorage};
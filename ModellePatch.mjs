@@ -0,0 +1,200 @@
+/**
+ * Update the contents of a view to match an HTML string with minimal DOM
+ * mutations. Existing nodes are kept and updated in place where possible:
+ *
+ * - Elements with a data-key attribute are matched by key (and tag), so
+ *   keyed list items are moved rather than re-created.
+ * - Other nodes are matched in order by node type and tag.
+ * - Nested views (elements with props) that are matched are left alone,
+ *   including their attributes and contents, so they are not torn down.
+ * - The value of the focused input, textarea or select is not touched.
+ *
+ * Nodes that have no match in the new HTML are removed. The contents of the
+ * view are el.props.root, or the element itself.
+ */
+function patch(el, html)
+{
+    let template = document.createElement('template');
+    template.innerHTML = html;
+    let root = (el.props && el.props.root) || el;
+    patchChildren(root, template.content);
+    return el;
+}
+
+
+function patchChildren(fromParent, toParent)
+{
+    let fromNodes = Array.from(fromParent.childNodes);
+    let toNodes = Array.from(toParent.childNodes);
+
+    // Index the existing nodes
+    let keyedNodes = new Map();
+    let unkeyedNodes = [];
+    for (let node of fromNodes)
+    {
+        let key = getKey(node);
+        if (key !== null && !keyedNodes.has(key))
+        {
+            keyedNodes.set(key, node);
+        }
+        else
+        {
+            unkeyedNodes.push(node);
+        }
+    }
+
+    // Find a match for each new node
+    let matches = toNodes.map(toNode =>
+    {
+        let key = getKey(toNode);
+        if (key !== null)
+        {
+            let match = keyedNodes.get(key);
+            if (match && match.tagName === toNode.tagName)
+            {
+                keyedNodes.delete(key);
+                return match;
+            }
+            return null;
+        }
+        let index = unkeyedNodes.findIndex(node => isSameKind(node, toNode));
+        if (index === -1)
+        {
+            return null;
+        }
+        return unkeyedNodes.splice(index, 1)[0];
+    });
+
+    // Remove unmatched nodes first, so that the kept ones only have to be
+    // moved if their order changed
+    let matchedNodes = new Set(matches);
+    for (let node of fromNodes)
+    {
+        if (!matchedNodes.has(node))
+        {
+            node.remove();
+        }
+    }
+
+    toNodes.forEach((toNode, index) =>
+    {
+        let node = matches[index];
+        if (node)
+        {
+            patchNode(node, toNode);
+        }
+        else
+        {
+            node = toNode;
+        }
+        let reference = fromParent.childNodes[index];
+        if (reference !== node)
+        {
+            fromParent.insertBefore(node, reference || null);
+        }
+    });
+}
+
+
+function patchNode(from, to)
+{
+    if (from.nodeType !== Node.ELEMENT_NODE)
+    {
+        if (from.nodeValue !== to.nodeValue)
+        {
+            from.nodeValue = to.nodeValue;
+        }
+        return;
+    }
+
+    // Leave nested views alone
+    if (from.props)
+    {
+        return;
+    }
+
+    patchAttributes(from, to);
+
+    const focused = isFocused(from);
+    if (from.tagName === 'TEXTAREA')
+    {
+        if (!focused && from.value !== to.value)
+        {
+            from.value = to.value;
+        }
+        return;
+    }
+
+    patchChildren(from, to);
+
+    if (focused)
+    {
+        return;
+    }
+    if (from.tagName === 'INPUT')
+    {
+        if (from.value !== to.value)
+        {
+            from.value = to.value;
+        }
+        if (from.checked !== to.checked)
+        {
+            from.checked = to.checked;
+        }
+    }
+    else if (from.tagName === 'SELECT')
+    {
+        let selectedOption = to.querySelector('option[selected]');
+        if (selectedOption)
+        {
+            from.value = selectedOption.value;
+        }
+    }
+}
+
+
+function patchAttributes(from, to)
+{
+    for (let {name} of Array.from(from.attributes))
+    {
+        if (!to.hasAttribute(name))
+        {
+            from.removeAttribute(name);
+        }
+    }
+    for (let {name, value} of Array.from(to.attributes))
+    {
+        if (from.getAttribute(name) !== value)
+        {
+            from.setAttribute(name, value);
+        }
+    }
+}
+
+
+function getKey(node)
+{
+    if (node.nodeType !== Node.ELEMENT_NODE)
+    {
+        return null;
+    }
+    return node.getAttribute('data-key');
+}
+
+
+function isSameKind(from, to)
+{
+    return from.nodeType === to.nodeType && from.tagName === to.tagName;
+}
+
+
+/**
+ * Whether an element has focus, also when it is inside a shadow root.
+ */
+function isFocused(el)
+{
+    return el.getRootNode().activeElement === el;
+}
+
+
+export default {patch};
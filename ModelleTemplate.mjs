@@ -0,0 +1,381 @@
+/**
+ * Template rendering with data binding. Templates are standard <template>
+ * elements (or HTML strings) whose elements are bound to data with
+ * attributes:
+ *
+ * data-text="path": text content of the element.
+ * data-attr-NAME="path": attribute NAME (removed if the value is null,
+ *     undefined or false).
+ * data-prop-NAME="path": element property NAME, in camel case (e.g.
+ *     data-prop-value, data-prop-selected-index).
+ * data-class-NAME="path": CSS class NAME, added if the value is truthy.
+ *
+ * Nested <template> elements render lists and conditional blocks in their
+ * place:
+ *
+ * <template data-each="path" data-as="item" data-index="i" data-key="id">:
+ *     renders its content once for each item of the list. Items are matched
+ *     to already rendered ones by data-key (a path within the item) or by
+ *     identity.
+ * <template data-if="path">: renders its content if the value is truthy.
+ *
+ * Paths are dot-separated property names, e.g. "user.name", and are looked
+ * up in the data and in the variables of enclosing lists.
+ */
+
+
+// Parsed HTML string templates
+let parsedTemplates = new Map();
+
+
+/**
+ * Render a template into a view. The first call (or a call with a different
+ * template) replaces the contents of the view (el.props.root, or the element
+ * itself); later calls only update the nodes whose bound values changed.
+ * The data defaults to el.props.
+ */
+function render(el, template, data)
+{
+    if (typeof template === 'string')
+    {
+        template = parseTemplate(template);
+    }
+    if (data === undefined)
+    {
+        data = el.props;
+    }
+
+    let state = el._modelleTemplate;
+    if (state && state.template === template)
+    {
+        updateBindings(state.bindings, data);
+        return el;
+    }
+
+    let fragment = template.content.cloneNode(true);
+    let bindings = compile(fragment);
+    updateBindings(bindings, data);
+    let root = (el.props && el.props.root) || el;
+    root.replaceChildren(fragment);
+    el._modelleTemplate = {template, bindings};
+    return el;
+}
+
+
+/**
+ * Convert an HTML string into a template element. The string can either be a
+ * single <template> element or the contents of one.
+ */
+function parseTemplate(html)
+{
+    if (parsedTemplates.has(html))
+    {
+        return parsedTemplates.get(html);
+    }
+
+    let template = document.createElement('template');
+    template.innerHTML = html.trim();
+    let firstElement = template.content.firstElementChild;
+    if (template.content.childNodes.length === 1 && firstElement.tagName === 'TEMPLATE' &&
+        !isBlockTemplate(firstElement))
+    {
+        template = firstElement;
+    }
+    parsedTemplates.set(html, template);
+    return template;
+}
+
+
+function isBlockTemplate(el)
+{
+    return el.tagName === 'TEMPLATE' && (el.hasAttribute('data-each') || el.hasAttribute('data-if'));
+}
+
+
+/**
+ * Find the bindings in a node's descendants. The contents of nested
+ * templates are compiled when they are rendered.
+ */
+function compile(node)
+{
+    let bindings = [];
+    for (let el of node.querySelectorAll('*'))
+    {
+        if (isBlockTemplate(el))
+        {
+            bindings.push(el.hasAttribute('data-each') ?
+                createListBinding(el) : createConditionalBinding(el));
+            continue;
+        }
+        for (let {name, value} of Array.from(el.attributes))
+        {
+            let binding = createBinding(el, name, value);
+            if (binding)
+            {
+                bindings.push(binding);
+            }
+        }
+    }
+    return bindings;
+}
+
+
+function createBinding(el, attributeName, path)
+{
+    let apply;
+    if (attributeName === 'data-text')
+    {
+        apply = value =>
+        {
+            el.textContent = value === null || value === undefined ? '' : value;
+        };
+    }
+    else if (attributeName.startsWith('data-attr-'))
+    {
+        const name = attributeName.slice('data-attr-'.length);
+        apply = value =>
+        {
+            if (value === null || value === undefined || value === false)
+            {
+                el.removeAttribute(name);
+            }
+            else
+            {
+                el.setAttribute(name, value === true ? '' : value);
+            }
+        };
+    }
+    else if (attributeName.startsWith('data-prop-'))
+    {
+        const name = kebabToCamelCase(attributeName.slice('data-prop-'.length));
+        apply = value =>
+        {
+            // Don't reset e.g. the value of an input that is already up to
+            // date, which would move the cursor
+            if (el[name] !== value)
+            {
+                el[name] = value;
+            }
+        };
+    }
+    else if (attributeName.startsWith('data-class-'))
+    {
+        const name = attributeName.slice('data-class-'.length);
+        apply = value => el.classList.toggle(name, Boolean(value));
+    }
+    else
+    {
+        return null;
+    }
+
+    let initialized = false;
+    let lastValue;
+    return {
+        update(scope)
+        {
+            let value = resolvePath(scope, path);
+            if (initialized && value === lastValue)
+            {
+                return;
+            }
+            initialized = true;
+            lastValue = value;
+            apply(value);
+        }
+    };
+}
+
+
+function createListBinding(template)
+{
+    const path = template.dataset.each;
+    const itemName = template.dataset.as || 'item';
+    const indexName = template.dataset.index;
+    const keyPath = template.dataset.key;
+
+    // Rendered items, in order and by key
+    let renderedInstances = [];
+    let instances = new Map();
+
+    return {
+        update(scope)
+        {
+            let items = resolvePath(scope, path);
+            items = items ? Array.from(items) : [];
+
+            let oldInstances = instances;
+            instances = new Map();
+            let orderedInstances = [];
+            items.forEach((item, index) =>
+            {
+                let itemScope = Object.create(scope);
+                itemScope[itemName] = item;
+                if (indexName)
+                {
+                    itemScope[indexName] = index;
+                }
+
+                // Reuse the rendered item with the same key. Items with
+                // duplicate keys are rendered separately.
+                let key = keyPath ? resolvePath(item, keyPath) : item;
+                let instance = oldInstances.get(key);
+                if (instance)
+                {
+                    oldInstances.delete(key);
+                }
+                else
+                {
+                    instance = createInstance(template);
+                }
+                if (!instances.has(key))
+                {
+                    instances.set(key, instance);
+                }
+                updateBindings(instance.bindings, itemScope);
+                orderedInstances.push(instance);
+            });
+
+            // Remove items that are no longer in the list
+            let keptInstances = new Set(orderedInstances);
+            for (let instance of renderedInstances)
+            {
+                if (!keptInstances.has(instance))
+                {
+                    removeInstance(instance);
+                }
+            }
+            renderedInstances = orderedInstances;
+
+            // Insert new items and move reordered ones, after the template
+            // element
+            let previousNode = template;
+            for (let instance of orderedInstances)
+            {
+                for (let node of getInstanceNodes(instance))
+                {
+                    if (previousNode.nextSibling !== node)
+                    {
+                        template.parentNode.insertBefore(node, previousNode.nextSibling);
+                    }
+                    previousNode = node;
+                }
+            }
+        }
+    };
+}
+
+
+function createConditionalBinding(template)
+{
+    const path = template.dataset.if;
+    let instance = null;
+
+    return {
+        update(scope)
+        {
+            if (!resolvePath(scope, path))
+            {
+                if (instance)
+                {
+                    removeInstance(instance);
+                    instance = null;
+                }
+                return;
+            }
+            if (!instance)
+            {
+                instance = createInstance(template);
+                updateBindings(instance.bindings, scope);
+                let nextSibling = template.nextSibling;
+                for (let node of getInstanceNodes(instance))
+                {
+                    template.parentNode.insertBefore(node, nextSibling);
+                }
+                return;
+            }
+            updateBindings(instance.bindings, scope);
+        }
+    };
+}
+
+
+/**
+ * Render the content of a block template. The rendered nodes are delimited
+ * by comment markers rather than recorded, as nested blocks at the top
+ * level of the content add and remove nodes of their own.
+ */
+function createInstance(template)
+{
+    let fragment = template.content.cloneNode(true);
+    let start = document.createComment('');
+    let end = document.createComment('');
+    fragment.prepend(start);
+    fragment.append(end);
+    return {
+        start,
+        end,
+        bindings: compile(fragment)
+    };
+}
+
+
+/**
+ * Get the nodes of a rendered block, including its markers.
+ */
+function getInstanceNodes(instance)
+{
+    let nodes = [];
+    let node = instance.start;
+    while (node)
+    {
+        nodes.push(node);
+        if (node === instance.end)
+        {
+            break;
+        }
+        node = node.nextSibling;
+    }
+    return nodes;
+}
+
+
+function removeInstance(instance)
+{
+    for (let node of getInstanceNodes(instance))
+    {
+        node.remove();
+    }
+}
+
+
+function updateBindings(bindings, scope)
+{
+    for (let binding of bindings)
+    {
+        binding.update(scope);
+    }
+}
+
+
+function resolvePath(scope, path)
+{
+    let value = scope;
+    for (let name of path.split('.'))
+    {
+        if (value === null || value === undefined)
+        {
+            return undefined;
+        }
+        value = value[name];
+    }
+    return value;
+}
+
+
+function kebabToCamelCase(name)
+{
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+
+export default {render, parseTemplate};